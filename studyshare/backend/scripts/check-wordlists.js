@@ -0,0 +1,41 @@
+// Run the profanity word lists over a sample of ordinary words and fail if
+// any of them is flagged. Run it after changing config/wordlists.js: stemming
+// can make a short entry match everyday words (نيكون, Nikon, stems to نيك).
+//
+//   node scripts/check-wordlists.js
+
+const profanity = require('../src/services/contentFilter/profanity.check');
+
+const SAMPLE = [
+  // Arabic, including words whose stems are close to list entries
+  'نيكون', 'نيكل', 'زبون', 'الزبون', 'زبونه', 'زبائن', 'زبده', 'زبيب', 'كسول', 'كسر',
+  'كسره', 'الكسور', 'كساء', 'كسوه', 'كسوف', 'كسب', 'مكاسب', 'كسرى', 'خراب', 'خراف',
+  'خراج', 'خرائط', 'طيران', 'عرصه', 'العرصه', 'عرصات', 'معرض', 'عرض', 'حماره', 'كلبه',
+  'ديوان', 'عاهات', 'انيق', 'انيقه', 'نيكوتين', 'اكسجين', 'مكسيك', 'زبرجد', 'طيزان',
+  'مدرسه', 'طالب', 'معلم', 'كتاب', 'دراسه', 'امتحان', 'الرياضيات', 'الفيزياء', 'الكيمياء',
+  'الاحياء', 'التاريخ', 'الجغرافيا', 'ملخص', 'سؤال', 'جواب', 'شرح', 'درس', 'واجب',
+  'معادله', 'تجربه', 'نظريه', 'قانون', 'تفاعل', 'خليه', 'جزيء', 'ذره', 'طاقه', 'سرعه',
+  // English
+  'class', 'assess', 'assignment', 'passage', 'classic', 'scunthorpe', 'cocktail',
+  'analysis', 'dickens', 'shitake', 'therapist', 'grape', 'pussycat', 'bassist', 'cumulative'
+];
+
+const run = async () => {
+  const flagged = [];
+  for (const word of SAMPLE) {
+    const result = await profanity.run({ text: word });
+    if (result) flagged.push(`${word} (${result.matches.join(', ')})`);
+  }
+
+  if (flagged.length) {
+    console.error(`❌ ${flagged.length} ordinary words flagged:\n  ${flagged.join('\n  ')}`);
+    process.exitCode = 1;
+    return;
+  }
+  console.log(`✅ None of ${SAMPLE.length} ordinary words flagged`);
+};
+
+run().catch((error) => {
+  console.error('❌ Check failed:', error);
+  process.exitCode = 1;
+});
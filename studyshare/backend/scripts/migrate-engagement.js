@@ -0,0 +1,57 @@
+// One-off migration: move the embedded Post.likes / Post.saves arrays into the
+// Reaction collection, store their sizes in likesCount / savesCount and drop
+// the old arrays and viewHistory. Safe to re-run.
+//
+//   node scripts/migrate-engagement.js
+
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const Post = require('../src/models/Post');
+const Reaction = require('../src/models/Reaction');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  await Reaction.syncIndexes();
+
+  // The arrays are no longer in the schema, so read them through the driver
+  const cursor = Post.collection.find(
+    { $or: [{ likes: { $exists: true } }, { saves: { $exists: true } }, { viewHistory: { $exists: true } }] },
+    { projection: { likes: 1, saves: 1 } }
+  );
+
+  let migrated = 0;
+  for await (const post of cursor) {
+    const reactions = [
+      ...(post.likes || []).map(user => ({ post: post._id, user, type: 'like' })),
+      ...(post.saves || []).map(user => ({ post: post._id, user, type: 'save' }))
+    ];
+
+    if (reactions.length) {
+      await Reaction.bulkWrite(reactions.map(reaction => ({
+        updateOne: { filter: reaction, update: { $setOnInsert: reaction }, upsert: true }
+      })));
+    }
+
+    const [likesCount, savesCount] = await Promise.all([
+      Reaction.countDocuments({ post: post._id, type: 'like' }),
+      Reaction.countDocuments({ post: post._id, type: 'save' })
+    ]);
+
+    await Post.collection.updateOne(
+      { _id: post._id },
+      { $set: { likesCount, savesCount }, $unset: { likes: '', saves: '', viewHistory: '' } }
+    );
+    migrated += 1;
+  }
+
+  console.log(`✅ Migrated ${migrated} posts`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
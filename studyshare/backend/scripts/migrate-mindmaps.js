@@ -0,0 +1,55 @@
+// Give mindmap posts from before mindmap trees existed a one-node tree, the
+// root labelled with the title, so they validate and open in the editor. Their
+// text content is kept. Writes skip the save hooks, like render-content.js;
+// images are rendered on the next edit. Safe to re-run: posts that have a
+// tree are skipped.
+//
+//   node scripts/migrate-mindmaps.js
+
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const Post = require('../src/models/Post');
+const { MINDMAP_LIMITS } = require('../src/utils/mindmap');
+
+const BATCH_SIZE = 200;
+
+const flush = async (operations) => {
+  if (operations.length) {
+    await Post.bulkWrite(operations.splice(0));
+  }
+};
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const operations = [];
+  let count = 0;
+  const filter = { postType: 'mindmap', 'mindmap.nodes.0': { $exists: false } };
+
+  for await (const post of Post.find(filter).select('title content tags keywords postType mindmap').cursor()) {
+    post.mindmap = {
+      nodes: [{ key: 'root', parent: null, label: post.title.slice(0, MINDMAP_LIMITS.label) }]
+    };
+    post.buildSearchIndex();
+    operations.push({
+      updateOne: {
+        filter: { _id: post._id },
+        update: { $set: { mindmap: post.mindmap.toObject(), searchIndex: post.searchIndex } }
+      }
+    });
+    count += 1;
+    if (operations.length >= BATCH_SIZE) await flush(operations);
+  }
+
+  await flush(operations);
+  console.log(`✅ Gave ${count} mindmap posts a tree`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,41 @@
+// Seed the points ledger with each user's current total, so recomputing from
+// the ledger keeps points earned before it existed. Safe to re-run: users who
+// already have ledger entries are skipped.
+//
+//   node scripts/migrate-points.js
+
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const User = require('../src/models/User');
+const PointsTransaction = require('../src/models/PointsTransaction');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  await PointsTransaction.syncIndexes();
+
+  let seeded = 0;
+
+  for await (const user of User.find({ points: { $gt: 0 } }).select('points').lean().cursor()) {
+    if (await PointsTransaction.exists({ user: user._id })) continue;
+
+    await PointsTransaction.create({
+      user: user._id,
+      amount: user.points,
+      reason: 'opening_balance',
+      note: 'Points earned before the ledger',
+      source: { kind: 'User', id: user._id }
+    });
+    seeded += 1;
+  }
+
+  console.log(`✅ Seeded the ledger for ${seeded} users`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,38 @@
+// Give every existing post a first revision holding its current content, so
+// the first edit after revision history shipped can still be diffed and
+// undone. Safe to re-run: posts that already have revisions are skipped.
+//
+//   node scripts/migrate-revisions.js
+
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const Post = require('../src/models/Post');
+const PostRevision = require('../src/models/PostRevision');
+const revisionService = require('../src/services/revision.service');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  await PostRevision.syncIndexes();
+
+  let seeded = 0;
+
+  for await (const post of Post.find().select('author title content excerpt tags mindmap').cursor()) {
+    if (await PostRevision.exists({ post: post._id })) continue;
+
+    await revisionService.recordRevision(post, { _id: post.author }, {
+      reason: 'Content before revision history'
+    });
+    seeded += 1;
+  }
+
+  console.log(`✅ Seeded revisions for ${seeded} posts`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,30 @@
+// Start the slug history of every existing post with its current slug, so the
+// links shared so far keep working after the next title edit, then build the
+// unique index over all slugs. Safe to re-run: posts with a history are skipped.
+//
+//   node scripts/migrate-slugs.js
+
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const Post = require('../src/models/Post');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const result = await Post.updateMany(
+    { slug: { $exists: true }, slugs: { $exists: false } },
+    [{ $set: { slugs: ['$slug'] } }]
+  );
+  await Post.syncIndexes();
+
+  console.log(`✅ Started the slug history of ${result.modifiedCount} posts`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,33 @@
+// Recompute every user's stats (posts, comments, likes and saves received,
+// helpfulness) from the source collections and report the drift. Nothing is
+// written unless --fix is given. Run it with --fix once after deploying the
+// transition-based stats, to undo the counts inflated by earlier edits.
+//
+//   node scripts/reconcile-stats.js [--fix]
+
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const statsService = require('../src/services/stats.service');
+
+const run = async () => {
+  const fix = process.argv.includes('--fix');
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  const report = await statsService.reconcileStats({ fix });
+
+  report.users.forEach(({ user, username, drift }) => {
+    const fields = drift.map(({ field, stored, actual }) => `${field} ${stored} → ${actual}`).join(', ');
+    console.log(`  ${username || user}: ${fields}`);
+  });
+  console.log(`✅ Checked ${report.checked} users, ${report.drifted} had drifted` +
+    (fix ? `, fixed ${report.fixed}` : ' (dry run, use --fix to correct them)'));
+};
+
+run()
+  .catch((error) => {
+    console.error('❌ Reconciliation failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
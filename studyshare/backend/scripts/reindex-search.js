@@ -0,0 +1,72 @@
+// Rebuild the normalized search fields (Post.searchIndex, User.searchName)
+// for existing documents and make sure the text index exists. Safe to re-run.
+//
+//   node scripts/reindex-search.js
+
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const Post = require('../src/models/Post');
+const User = require('../src/models/User');
+const { normalizeArabic } = require('../src/utils/arabic');
+
+const BATCH_SIZE = 500;
+
+// Writes go through bulkWrite so save hooks (slug, lastActivity, stats) don't run
+const flush = async (Model, operations) => {
+  if (operations.length) {
+    await Model.bulkWrite(operations.splice(0));
+  }
+};
+
+const reindexPosts = async () => {
+  const operations = [];
+  let count = 0;
+
+  for await (const post of Post.find().select('title content tags keywords mindmap').cursor()) {
+    post.buildSearchIndex();
+    operations.push({
+      updateOne: { filter: { _id: post._id }, update: { $set: { searchIndex: post.searchIndex } } }
+    });
+    count += 1;
+    if (operations.length >= BATCH_SIZE) await flush(Post, operations);
+  }
+
+  await flush(Post, operations);
+  return count;
+};
+
+const reindexUsers = async () => {
+  const operations = [];
+  let count = 0;
+
+  for await (const user of User.find().select('displayName username').lean().cursor()) {
+    const searchName = normalizeArabic(`${user.displayName} ${user.username || ''}`).trim();
+    operations.push({
+      updateOne: { filter: { _id: user._id }, update: { $set: { searchName } } }
+    });
+    count += 1;
+    if (operations.length >= BATCH_SIZE) await flush(User, operations);
+  }
+
+  await flush(User, operations);
+  return count;
+};
+
+const reindex = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  await Promise.all([Post.syncIndexes(), User.syncIndexes()]);
+
+  const posts = await reindexPosts();
+  const users = await reindexUsers();
+
+  console.log(`✅ Reindexed ${posts} posts and ${users} users`);
+};
+
+reindex()
+  .catch((error) => {
+    console.error('❌ Reindex failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,61 @@
+// Render existing posts through the Markdown pipeline: fills contentHtml,
+// readTime and missing excerpts, and rebuilds the search index from the
+// plain text. Safe to re-run.
+//
+//   node scripts/render-content.js
+
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const Post = require('../src/models/Post');
+
+const BATCH_SIZE = 200;
+
+// Writes go through bulkWrite so save hooks (slug, lastActivity, stats) don't run
+const flush = async (operations) => {
+  if (operations.length) {
+    await Post.bulkWrite(operations.splice(0));
+  }
+};
+
+const renderPosts = async () => {
+  const operations = [];
+  let count = 0;
+
+  for await (const post of Post.find().select('title content excerpt tags keywords postType mindmap').cursor()) {
+    post.renderContent();
+    post.buildSearchIndex();
+    operations.push({
+      updateOne: {
+        filter: { _id: post._id },
+        update: {
+          $set: {
+            contentHtml: post.contentHtml,
+            readTime: post.readTime,
+            excerpt: post.excerpt,
+            searchIndex: post.searchIndex
+          }
+        }
+      }
+    });
+    count += 1;
+    if (operations.length >= BATCH_SIZE) await flush(operations);
+  }
+
+  await flush(operations);
+  return count;
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  const count = await renderPosts();
+  console.log(`✅ Rendered ${count} posts`);
+};
+
+run()
+  .catch((error) => {
+    console.error('❌ Rendering failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -4,7 +4,6 @@ const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const mongoSanitize = require('express-mongo-sanitize');
-const xss = require('xss-clean');
 const dotenv = require('dotenv');
 const socketIO = require('socket.io');
 const http = require('http');
@@ -41,7 +40,8 @@ app.use(helmet({
 
 app.use(compression());
 app.use(mongoSanitize());
-app.use(xss());
+// No global HTML escaping of request bodies: post content is Markdown, rendered
+// and sanitized by the Post model (utils/markdown), and other text is plain text
 
 // CORS Configuration
 const corsOptions = {
@@ -73,6 +73,7 @@ const connectDB = async () => {
       socketTimeoutMS: 45000,
     });
     console.log('✅ MongoDB Connected Successfully');
+    startJobs();
   } catch (error) {
     console.error('❌ MongoDB Connection Error:', error);
     // Retry connection after 5 seconds
@@ -80,6 +81,17 @@ const connectDB = async () => {
   }
 };
 
+// Background jobs, started once the database is reachable
+let jobsStarted = false;
+const startJobs = () => {
+  if (jobsStarted) return;
+  jobsStarted = true;
+  require('./src/jobs/notificationDigest.job').start();
+  require('./src/jobs/uploadCleanup.job').start();
+  require('./src/jobs/leaderboardRefresh.job').start();
+  require('./src/jobs/statsReconcile.job').start();
+};
+
 connectDB();
 
 // MongoDB connection events
@@ -92,49 +104,12 @@ mongoose.connection.on('reconnected', () => {
 });
 
 // Socket.IO Real-time communication
-io.on('connection', (socket) => {
-  console.log('🔌 New client connected:', socket.id);
-  
-  // Join user to their personal room
-  socket.on('join_user', (userId) => {
-    socket.join(`user_${userId}`);
-    console.log(`User ${userId} joined their room`);
-  });
-  
-  // Join post discussion room
-  socket.on('join_post', (postId) => {
-    socket.join(`post_${postId}`);
-  });
-  
-  // Handle new comment
-  socket.on('new_comment', (data) => {
-    io.to(`post_${data.postId}`).emit('comment_added', data);
-  });
-  
-  // Handle like/unlike
-  socket.on('post_like', (data) => {
-    io.to(`post_${data.postId}`).emit('post_liked', data);
-  });
-  
-  // Handle notifications
-  socket.on('send_notification', (data) => {
-    if (data.userId) {
-      io.to(`user_${data.userId}`).emit('receive_notification', data);
-    }
-  });
-  
-  // Handle typing indicator
-  socket.on('typing', (data) => {
-    socket.to(`post_${data.postId}`).emit('user_typing', {
-      userId: data.userId,
-      userName: data.userName
-    });
-  });
-  
-  socket.on('disconnect', () => {
-    console.log('Client disconnected:', socket.id);
-  });
-});
+const { socketProtect } = require('./src/middleware/auth.middleware');
+const registerSocketHandlers = require('./src/sockets');
+
+// Every socket must present a valid access token in its handshake
+io.use(socketProtect);
+registerSocketHandlers(io);
 
 // Rate limiting
 const { RateLimiterMemory } = require('rate-limiter-flexible');
@@ -155,6 +130,15 @@ const rateLimiterMiddleware = (req, res, next) => {
 
 app.use('/api/', rateLimiterMiddleware);
 
+// Files stored by the local storage driver
+if (process.env.STORAGE_DRIVER === 'local') {
+  const localStorage = require('./src/services/storage/local.driver');
+  app.use(localStorage.PUBLIC_PATH, (req, res, next) => {
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    next();
+  }, express.static(localStorage.UPLOAD_DIR, { dotfiles: 'deny', index: false }));
+}
+
 // API Routes
 app.use('/api/v1/auth', require('./src/routes/auth.routes'));
 app.use('/api/v1/posts', require('./src/routes/posts.routes'));
@@ -163,6 +147,11 @@ app.use('/api/v1/comments', require('./src/routes/comments.routes'));
 app.use('/api/v1/notifications', require('./src/routes/notifications.routes'));
 app.use('/api/v1/uploads', require('./src/routes/upload.routes'));
 app.use('/api/v1/search', require('./src/routes/search.routes'));
+app.use('/api/v1/leaderboards', require('./src/routes/leaderboards.routes'));
+app.use('/api/v1/moderation', require('./src/routes/moderation.routes'));
+app.use('/api/v1/feed', require('./src/routes/feed.routes'));
+app.use('/api/v1/follows', require('./src/routes/follows.routes'));
+app.use('/api/v1/collections', require('./src/routes/collections.routes'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -185,16 +174,31 @@ app.use('/api/*', (req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error('🔥 Error:', err.stack);
+  // Translate common Mongoose errors into client errors
+  if (err.name === 'ValidationError') {
+    err.statusCode = 400;
+    err.details = Object.values(err.errors).map(e => ({ field: e.path, message: e.message }));
+  } else if (err.name === 'CastError') {
+    err.statusCode = 400;
+    err.message = `Invalid ${err.path}: ${err.value}`;
+  } else if (err.code === 11000) {
+    err.statusCode = 409;
+    err.message = `Duplicate value for ${Object.keys(err.keyValue || {}).join(', ')}`;
+  }
   
   const statusCode = err.statusCode || 500;
-  const message = process.env.NODE_ENV === 'production' 
+  if (statusCode >= 500) {
+    console.error('🔥 Error:', err.stack);
+  }
+  
+  const message = process.env.NODE_ENV === 'production' && statusCode >= 500
     ? 'Something went wrong!' 
     : err.message;
   
   res.status(statusCode).json({
     status: 'error',
     message,
+    ...(err.details && { errors: err.details }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 });
@@ -0,0 +1,98 @@
+// Declarative badge rules. A user earns a badge once `metric` reaches
+// `threshold`; metrics are computed in services/gamification.service.
+// Adding a badge only takes a new entry here.
+
+const BADGES = [
+  {
+    key: 'first_post',
+    name: 'الخطوة الأولى',
+    icon: '🌱',
+    category: 'contribution',
+    description: 'نشر أول مشاركة',
+    metric: 'postsPublished',
+    threshold: 1,
+    points: 5
+  },
+  {
+    key: 'first_summary',
+    name: 'أول ملخص',
+    icon: '📝',
+    category: 'contribution',
+    description: 'نشر أول ملخص',
+    metric: 'summariesPublished',
+    threshold: 1,
+    points: 5
+  },
+  {
+    key: 'summaries_10',
+    name: 'صانع الملخصات',
+    icon: '📚',
+    category: 'contribution',
+    description: 'نشر 10 ملخصات',
+    metric: 'summariesPublished',
+    threshold: 10,
+    points: 25
+  },
+  {
+    key: 'first_accepted_answer',
+    name: 'أول إجابة معتمدة',
+    icon: '✅',
+    category: 'achievement',
+    description: 'اعتماد أول إجابة لك',
+    metric: 'acceptedAnswers',
+    threshold: 1,
+    points: 5
+  },
+  {
+    key: 'accepted_answers_10',
+    name: 'المرجع',
+    icon: '🎓',
+    category: 'achievement',
+    description: 'اعتماد 10 إجابات لك',
+    metric: 'acceptedAnswers',
+    threshold: 10,
+    points: 50
+  },
+  {
+    key: 'streak_7',
+    name: 'أسبوع متواصل',
+    icon: '🔥',
+    category: 'achievement',
+    description: 'النشاط 7 أيام متتالية',
+    metric: 'streakDays',
+    threshold: 7,
+    points: 20
+  },
+  {
+    key: 'streak_30',
+    name: 'شهر من المثابرة',
+    icon: '🏆',
+    category: 'achievement',
+    description: 'النشاط 30 يوماً متتالياً',
+    metric: 'streakDays',
+    threshold: 30,
+    points: 100
+  },
+  {
+    key: 'likes_100',
+    name: 'محبوب المجتمع',
+    icon: '❤️',
+    category: 'achievement',
+    description: 'الحصول على 100 إعجاب',
+    metric: 'likesReceived',
+    threshold: 100,
+    points: 30
+  },
+  {
+    key: 'points_1000',
+    name: 'متقدم',
+    icon: '⭐',
+    category: 'level',
+    description: 'الوصول إلى 1000 نقطة',
+    metric: 'points',
+    threshold: 1000,
+    points: 0
+  }
+];
+
+module.exports = BADGES;
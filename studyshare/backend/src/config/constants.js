@@ -0,0 +1,42 @@
+// Shared enums and values, enums kept in sync with the schema definitions in src/models
+
+const SUBJECTS = ['math', 'physics', 'chemistry', 'biology', 'arabic', 'english', 'history', 'geography', 'computer', 'other'];
+const POST_GRADES = ['9', '10', '11', '12', 'university', 'general'];
+const USER_GRADES = ['9', '10', '11', '12', 'university', 'graduate', 'teacher', 'other'];
+const POST_TYPES = ['summary', 'question', 'idea', 'mindmap', 'resource', 'discussion'];
+const POST_CATEGORIES = ['academic', 'tips', 'review', 'help', 'discussion', 'resource'];
+const TAG_MAX_LENGTH = 20;
+
+// Points awarded for community actions
+const POINTS = {
+  postPublished: 10,
+  commentPosted: 2,
+  acceptedAnswer: 15,
+  likeReceived: 1,
+  saveReceived: 2
+};
+
+// Leaderboard windows and how far back each one looks (null = all time)
+const LEADERBOARD_WINDOWS = {
+  weekly: 7 * 24 * 60 * 60 * 1000,
+  monthly: 30 * 24 * 60 * 60 * 1000,
+  all: null
+};
+
+// Bookmark collections per user and saved posts per collection
+const COLLECTION_LIMITS = {
+  collections: 50,
+  items: 500
+};
+
+module.exports = {
+  SUBJECTS,
+  POST_GRADES,
+  USER_GRADES,
+  POST_TYPES,
+  POST_CATEGORIES,
+  TAG_MAX_LENGTH,
+  POINTS,
+  LEADERBOARD_WINDOWS,
+  COLLECTION_LIMITS
+};
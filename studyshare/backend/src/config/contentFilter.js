@@ -0,0 +1,60 @@
+// Content filter settings. Every check has an action for when it fires:
+//   reject - refuse the content with an error
+//   flag   - save it as "flagged" and queue it for the moderators
+//   allow  - let it through, only record the finding
+// Override an action with CONTENT_FILTER_<CHECK>_ACTION, e.g. CONTENT_FILTER_PROFANITY_ACTION=reject.
+// CONTENT_FILTER_CHECKS limits which checks run (comma separated, default: all).
+
+const FILTER_ACTIONS = ['reject', 'flag', 'allow'];
+
+const CHECKS = {
+  profanity: {
+    action: 'flag'
+  },
+
+  links: {
+    action: 'flag',
+    maxLinks: 3,
+    // Accounts younger than this can't post links without review
+    newAccountMs: 24 * 60 * 60 * 1000,
+    // Shorteners hide where a link goes; invite links pull students off the platform
+    blockedDomains: ['bit.ly', 'tinyurl.com', 'goo.gl', 'cutt.ly', 'shorturl.at', 't.me', 'chat.whatsapp.com', 'discord.gg']
+  },
+
+  duplicate: {
+    action: 'reject',
+    windowMs: 24 * 60 * 60 * 1000,
+    // How many of the author's recent posts/comments are compared
+    lookback: 20,
+    // Short replies ("thanks!") are allowed to repeat
+    minWords: 5
+  },
+
+  rate: {
+    action: 'reject',
+    limits: {
+      Post: { max: 5, windowMs: 10 * 60 * 1000 },
+      Comment: { max: 10, windowMs: 60 * 1000 }
+    }
+  }
+};
+
+const getAction = (check) => {
+  const override = process.env[`CONTENT_FILTER_${check.toUpperCase()}_ACTION`];
+  return FILTER_ACTIONS.includes(override) ? override : CHECKS[check].action;
+};
+
+const getEnabledChecks = () => {
+  const configured = (process.env.CONTENT_FILTER_CHECKS || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+  return configured.length ? configured : Object.keys(CHECKS);
+};
+
+module.exports = {
+  FILTER_ACTIONS,
+  CHECKS,
+  getAction,
+  getEnabledChecks
+};
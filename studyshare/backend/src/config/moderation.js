@@ -0,0 +1,14 @@
+// Flag reasons and the moderation thresholds
+
+const FLAG_REASONS = ['spam', 'abuse', 'inappropriate', 'cheating', 'misinformation', 'copyright', 'other'];
+
+const MODERATOR_ACTIONS = ['approve', 'hide', 'delete', 'warn'];
+
+// Open flags after which content is hidden until a moderator reviews it
+const getFlagThreshold = () => parseInt(process.env.MODERATION_FLAG_THRESHOLD, 10) || 3;
+
+module.exports = {
+  FLAG_REASONS,
+  MODERATOR_ACTIONS,
+  getFlagThreshold
+};
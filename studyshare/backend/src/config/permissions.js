@@ -0,0 +1,42 @@
+// Which roles hold each permission. Route guards and socket handlers check
+// permissions rather than role names, so a role can gain or lose an ability here.
+
+const ROLES = ['student', 'teacher', 'moderator', 'admin'];
+
+const PERMISSIONS = {
+  // Posts
+  'post:edit-any': ['moderator', 'admin'],
+  'post:delete-any': ['moderator', 'admin'],
+
+  // Answers & comments
+  'answer:verify': ['teacher', 'moderator', 'admin'],
+  'comment:edit-any': ['moderator', 'admin'],
+  'comment:delete-any': ['moderator', 'admin'],
+
+  // Moderation
+  'moderation:note': ['moderator', 'admin'],
+  'moderation:queue': ['moderator', 'admin'],
+  'moderation:resolve': ['moderator', 'admin'],
+  'content:bypass-filter': ['moderator', 'admin'],
+
+  // Users
+  'user:change-role': ['admin'],
+  'user:deactivate': ['admin'],
+  'user:view-private': ['moderator', 'admin'],
+  'points:manage': ['admin'],
+  'stats:reconcile': ['admin']
+};
+
+const hasPermission = (user, permission) => {
+  const roles = PERMISSIONS[permission];
+  if (!roles) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  return Boolean(user) && roles.includes(user.role);
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  hasPermission
+};
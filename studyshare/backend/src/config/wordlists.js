@@ -0,0 +1,30 @@
+// Word lists for the profanity check. Entries are matched as whole words
+// after normalization (see services/contentFilter/text), so one spelling per
+// word is enough: hamza, taa marbuta and alef maqsura variants, tashkeel,
+// elongation and repeated letters are handled there.
+// Phrases (several words) are matched as a sequence of whole words.
+
+const ARABIC = [
+  'شرموط', 'شرموطه', 'شراميط', 'معرص', 'منيوك', 'منيوكه', 'متناك', 'متناكه',
+  'قحبه', 'قحاب', 'كسمك', 'كسختك', 'زبي', 'طيزك', 'لوطي',
+  'انيك', 'نيكك', 'منايك', 'عاهره', 'عاهر', 'ديوث',
+  'ابن الكلب', 'بنت الكلب', 'ابن الحرام', 'كس امك', 'كس اختك', 'يلعن ابوك', 'يلعن امك', 'يا حمار', 'يا كلب'
+];
+
+// Matched only exactly as written, without stemming: short roots that
+// ordinary words stem to (عرصة, courtyard, to عرص; نيكون, Nikon, to نيك).
+// scripts/check-wordlists.js runs the lists over a sample of common words.
+const ARABIC_EXACT = ['عرص', 'كس', 'زب', 'نيك', 'طيز', 'خرا'];
+
+const ENGLISH = [
+  'fuck', 'fucker', 'fucking', 'fucked', 'motherfucker', 'shit', 'shitty', 'bullshit',
+  'bitch', 'bitches', 'bastard', 'asshole', 'dick', 'dickhead', 'pussy', 'cunt',
+  'whore', 'slut', 'wanker', 'faggot', 'fag', 'nigger', 'nigga',
+  'stfu', 'son of a bitch', 'piece of shit'
+];
+
+module.exports = {
+  ARABIC,
+  ARABIC_EXACT,
+  ENGLISH
+};
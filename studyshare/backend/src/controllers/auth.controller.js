@@ -0,0 +1,323 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const ErrorResponse = require('../utils/ErrorResponse');
+const asyncHandler = require('../utils/asyncHandler');
+const mailService = require('../services/mail.service');
+const tokenService = require('../services/token.service');
+
+const isEmailVerificationEnabled = () => process.env.ENABLE_EMAIL_VERIFICATION === 'true';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Every successful login opens a new session for the calling device
+const sendTokenResponse = async (user, statusCode, req, res) => {
+  const { token, refreshToken } = await tokenService.createSession(user, req);
+
+  res.status(statusCode).json({
+    status: 'success',
+    token,
+    refreshToken,
+    data: { user }
+  });
+};
+
+// Email failures must not break the request that triggered them
+const sendVerification = async (user) => {
+  const token = user.generateVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await mailService.sendVerificationEmail(user, token);
+  } catch (error) {
+    console.error('📧 Verification email failed:', error.message);
+  }
+};
+
+// @desc    Register with email and password
+// @route   POST /api/v1/auth/register
+// @access  Public
+exports.register = asyncHandler(async (req, res) => {
+  const { email, password, displayName, username, subjects, grade } = req.body;
+
+  const user = await User.create({
+    email,
+    password,
+    displayName,
+    username,
+    subjects,
+    grade
+  });
+
+  if (isEmailVerificationEnabled()) {
+    await sendVerification(user);
+    return res.status(201).json({
+      status: 'success',
+      message: 'Account created, check your email to verify it before logging in',
+      data: { user }
+    });
+  }
+
+  await sendTokenResponse(user, 201, req, res);
+});
+
+// @desc    Log in with email and password
+// @route   POST /api/v1/auth/login
+// @access  Public
+exports.login = asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
+
+  const user = await User.findOne({ email: String(email).toLowerCase() }).select('+password');
+
+  if (!user || !(await user.comparePassword(password))) {
+    throw new ErrorResponse('Invalid email or password', 401);
+  }
+
+  if (!user.isActive) {
+    throw new ErrorResponse('This account has been deactivated', 403);
+  }
+
+  if (isEmailVerificationEnabled() && !user.isVerified) {
+    throw new ErrorResponse('Please verify your email before logging in', 403);
+  }
+
+  user.lastLogin = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  await sendTokenResponse(user, 200, req, res);
+});
+
+// @desc    Create an anonymous account in one click
+// @route   POST /api/v1/auth/anonymous
+// @access  Public
+exports.registerAnonymous = asyncHandler(async (req, res) => {
+  const { subjects, grade } = req.body;
+
+  const user = await User.create({
+    isAnonymous: true,
+    displayName: User.generateAnonymousName(),
+    subjects,
+    grade,
+    lastLogin: new Date()
+  });
+
+  await sendTokenResponse(user, 201, req, res);
+});
+
+// @desc    Turn an anonymous account into a full one, keeping its content
+// @route   POST /api/v1/auth/upgrade
+// @access  Private (anonymous accounts)
+exports.upgradeAnonymous = asyncHandler(async (req, res) => {
+  if (!req.user.isAnonymous) {
+    throw new ErrorResponse('Only anonymous accounts can be upgraded', 400);
+  }
+
+  const { email, password, displayName, username } = req.body;
+  const user = req.user;
+
+  user.set({
+    email,
+    password,
+    username,
+    isAnonymous: false,
+    ...(displayName && { displayName })
+  });
+  await user.save();
+
+  if (isEmailVerificationEnabled()) {
+    await sendVerification(user);
+  }
+
+  await sendTokenResponse(user, 200, req, res);
+});
+
+// @desc    Get the logged in user
+// @route   GET /api/v1/auth/me
+// @access  Private
+exports.getMe = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: { user: req.user }
+  });
+});
+
+// @desc    Send a password reset email
+// @route   POST /api/v1/auth/forgot-password
+// @access  Public
+exports.forgotPassword = asyncHandler(async (req, res) => {
+  const user = await User.findOne({ email: String(req.body.email).toLowerCase(), isActive: true });
+
+  // Same answer whether or not the email exists, so accounts can't be enumerated
+  const response = {
+    status: 'success',
+    message: 'If an account exists for this email, a reset link has been sent'
+  };
+
+  if (!user) {
+    return res.status(200).json(response);
+  }
+
+  const resetToken = user.generateResetToken();
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await mailService.sendPasswordResetEmail(user, resetToken);
+  } catch (error) {
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+    throw new ErrorResponse('Email could not be sent, please try again later', 500);
+  }
+
+  res.status(200).json(response);
+});
+
+// @desc    Set a new password using a reset token
+// @route   PUT /api/v1/auth/reset-password/:token
+// @access  Public
+exports.resetPassword = asyncHandler(async (req, res) => {
+  const user = await User.findOne({
+    resetPasswordToken: hashToken(req.params.token),
+    resetPasswordExpire: { $gt: Date.now() }
+  });
+
+  if (!user) {
+    throw new ErrorResponse('Invalid or expired reset token', 400);
+  }
+
+  user.password = req.body.password;
+  user.resetPasswordToken = undefined;
+  user.resetPasswordExpire = undefined;
+  await user.save();
+
+  // Whoever knew the old password may still be logged in somewhere
+  await Session.revokeAllForUser(user._id, 'password_reset');
+
+  await sendTokenResponse(user, 200, req, res);
+});
+
+// @desc    Confirm an email address
+// @route   GET /api/v1/auth/verify-email/:token
+// @access  Public
+exports.verifyEmail = asyncHandler(async (req, res) => {
+  if (!isEmailVerificationEnabled()) {
+    throw new ErrorResponse('Email verification is disabled', 404);
+  }
+
+  const user = await User.findOne({
+    emailVerificationToken: hashToken(req.params.token),
+    emailVerificationExpire: { $gt: Date.now() }
+  });
+
+  if (!user) {
+    throw new ErrorResponse('Invalid or expired verification token', 400);
+  }
+
+  user.isVerified = true;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpire = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  await sendTokenResponse(user, 200, req, res);
+});
+
+// @desc    Send a new verification email
+// @route   POST /api/v1/auth/resend-verification
+// @access  Public
+exports.resendVerification = asyncHandler(async (req, res) => {
+  if (!isEmailVerificationEnabled()) {
+    throw new ErrorResponse('Email verification is disabled', 404);
+  }
+
+  const user = await User.findOne({ email: String(req.body.email).toLowerCase(), isActive: true });
+
+  if (user && !user.isVerified) {
+    await sendVerification(user);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'If an unverified account exists for this email, a new link has been sent'
+  });
+});
+
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/v1/auth/refresh
+// @access  Public (refresh token)
+exports.refresh = asyncHandler(async (req, res) => {
+  const { user, token, refreshToken } = await tokenService.rotateSession(req.body.refreshToken, req);
+
+  res.status(200).json({
+    status: 'success',
+    token,
+    refreshToken,
+    data: { user }
+  });
+});
+
+// @desc    Log out of the current session
+// @route   POST /api/v1/auth/logout
+// @access  Private
+exports.logout = asyncHandler(async (req, res) => {
+  await tokenService.revokeSession(req.user._id, req.sessionId);
+
+  res.status(200).json({
+    status: 'success',
+    data: null
+  });
+});
+
+// @desc    List the active sessions of the logged in user
+// @route   GET /api/v1/auth/sessions
+// @access  Private
+exports.getSessions = asyncHandler(async (req, res) => {
+  const sessions = await tokenService.listSessions(req.user._id);
+
+  res.status(200).json({
+    status: 'success',
+    results: sessions.length,
+    data: {
+      sessions: sessions.map(session => ({
+        id: session._id,
+        device: session.device,
+        ip: session.ip,
+        lastUsedAt: session.lastUsedAt,
+        createdAt: session.createdAt,
+        isCurrent: session._id.equals(req.sessionId)
+      }))
+    }
+  });
+});
+
+// @desc    Log out of one session
+// @route   DELETE /api/v1/auth/sessions/:id
+// @access  Private
+exports.revokeSession = asyncHandler(async (req, res) => {
+  const revoked = await tokenService.revokeSession(req.user._id, req.params.id);
+
+  if (!revoked) {
+    throw new ErrorResponse('Session not found', 404);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: null
+  });
+});
+
+// @desc    Log out of every session (or every other one with ?keepCurrent=true)
+// @route   DELETE /api/v1/auth/sessions
+// @access  Private
+exports.revokeAllSessions = asyncHandler(async (req, res) => {
+  const keepCurrent = req.query.keepCurrent === 'true';
+  const result = await Session.revokeAllForUser(
+    req.user._id,
+    'logout_all',
+    keepCurrent ? req.sessionId : null
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: { revoked: result.modifiedCount }
+  });
+});
@@ -0,0 +1,212 @@
+const Collection = require('../models/Collection');
+const Reaction = require('../models/Reaction');
+const asyncHandler = require('../utils/asyncHandler');
+const collectionService = require('../services/collection.service');
+const { encodeCursor, afterCursor } = require('../utils/cursor');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+const SAVED_POST_FIELDS = 'title slug excerpt postType subject grade tags author authorName authorAvatar isAnonymous ' +
+  'likesCount savesCount views rating isSolved publishedAt';
+
+const shareUrl = (token) => `${process.env.FRONTEND_URL}/collections/shared/${token}`;
+
+// List entry without the items themselves; `postId` tells whether a post is in it
+const summarize = (collection, postId) => ({
+  _id: collection._id,
+  name: collection.name,
+  description: collection.description,
+  itemsCount: collection.items.length,
+  isShared: Boolean(collection.shareToken),
+  ...(collection.shareToken && { shareUrl: shareUrl(collection.shareToken) }),
+  ...(postId && { hasPost: collection.items.some(item => item.post.equals(postId)) }),
+  createdAt: collection.createdAt,
+  updatedAt: collection.updatedAt
+});
+
+// @desc    My collections, most recently changed first
+// @route   GET /api/v1/collections
+// @access  Private
+exports.getCollections = asyncHandler(async (req, res) => {
+  const collections = await Collection.find({ owner: req.user._id })
+    .sort({ updatedAt: -1 })
+    .select('-items.note');
+
+  res.status(200).json({
+    status: 'success',
+    results: collections.length,
+    data: { collections: collections.map(collection => summarize(collection, req.query.post)) }
+  });
+});
+
+// @desc    Everything I saved, in or out of collections, newest first
+// @route   GET /api/v1/collections/saved
+// @access  Private
+exports.getSavedPosts = asyncHandler(async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+  const filter = { user: req.user._id, type: 'save' };
+  const query = req.query.cursor
+    ? { $and: [filter, afterCursor('createdAt', req.query.cursor)] }
+    : filter;
+
+  const saves = await Reaction.find(query)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit + 1)
+    .populate({ path: 'post', select: SAVED_POST_FIELDS, match: { status: 'published' } });
+
+  const hasMore = saves.length > limit;
+  if (hasMore) saves.pop();
+
+  // Posts taken down since drop out; the cursor still follows the raw page
+  const posts = saves
+    .filter(save => save.post)
+    .map(save => ({ ...save.post.toJSON(), savedAt: save.createdAt }));
+
+  res.status(200).json({
+    status: 'success',
+    results: posts.length,
+    data: { posts },
+    pagination: {
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(saves[saves.length - 1], 'createdAt') : null
+    }
+  });
+});
+
+// @desc    Create a collection
+// @route   POST /api/v1/collections
+// @access  Private
+exports.createCollection = asyncHandler(async (req, res) => {
+  const collection = await collectionService.createCollection(req.user._id, req.body);
+
+  res.status(201).json({
+    status: 'success',
+    data: { collection: summarize(collection) }
+  });
+});
+
+// @desc    A collection with its posts and notes
+// @route   GET /api/v1/collections/:id
+// @access  Private (owner)
+exports.getCollection = asyncHandler(async (req, res) => {
+  const collection = await collectionService.getCollection(req.user._id, req.params.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      collection: {
+        ...summarize(collection),
+        items: collection.items
+      }
+    }
+  });
+});
+
+// @desc    Rename a collection or change its description
+// @route   PUT /api/v1/collections/:id
+// @access  Private (owner)
+exports.updateCollection = asyncHandler(async (req, res) => {
+  const collection = await collectionService.updateCollection(req.user._id, req.params.id, req.body);
+
+  res.status(200).json({
+    status: 'success',
+    data: { collection: summarize(collection) }
+  });
+});
+
+// @desc    Delete a collection; its posts stay saved
+// @route   DELETE /api/v1/collections/:id
+// @access  Private (owner)
+exports.deleteCollection = asyncHandler(async (req, res) => {
+  await collectionService.deleteCollection(req.user._id, req.params.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: null
+  });
+});
+
+// @desc    Add a post to a collection (saving it if needed)
+// @route   POST /api/v1/collections/:id/items
+// @access  Private (owner)
+exports.addItem = asyncHandler(async (req, res) => {
+  const changed = await collectionService.addItem(req.user, req.params.id, req.body.postId, req.body.note);
+
+  res.status(changed ? 201 : 200).json({
+    status: 'success',
+    data: { postId: req.body.postId, changed }
+  });
+});
+
+// @desc    Change the private note on a collection item
+// @route   PUT /api/v1/collections/:id/items/:postId
+// @access  Private (owner)
+exports.updateItem = asyncHandler(async (req, res) => {
+  await collectionService.updateNote(req.user._id, req.params.id, req.params.postId, req.body.note);
+
+  res.status(200).json({
+    status: 'success',
+    data: { postId: req.params.postId, note: req.body.note }
+  });
+});
+
+// @desc    Remove a post from a collection; it stays saved
+// @route   DELETE /api/v1/collections/:id/items/:postId
+// @access  Private (owner)
+exports.removeItem = asyncHandler(async (req, res) => {
+  const changed = await collectionService.removeItem(req.user._id, req.params.id, req.params.postId);
+
+  res.status(200).json({
+    status: 'success',
+    data: { postId: req.params.postId, changed }
+  });
+});
+
+// @desc    Reorder the posts of a collection
+// @route   PUT /api/v1/collections/:id/order
+// @access  Private (owner)
+exports.reorderItems = asyncHandler(async (req, res) => {
+  await collectionService.reorderItems(req.user._id, req.params.id, req.body.postIds);
+
+  res.status(200).json({
+    status: 'success',
+    data: { postIds: req.body.postIds }
+  });
+});
+
+// @desc    Share a collection as a read-only link
+// @route   POST /api/v1/collections/:id/share
+// @access  Private (owner)
+exports.shareCollection = asyncHandler(async (req, res) => {
+  const token = await collectionService.shareCollection(req.user._id, req.params.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: { shareToken: token, shareUrl: shareUrl(token) }
+  });
+});
+
+// @desc    Stop sharing a collection; the old link stops working
+// @route   DELETE /api/v1/collections/:id/share
+// @access  Private (owner)
+exports.unshareCollection = asyncHandler(async (req, res) => {
+  await collectionService.unshareCollection(req.user._id, req.params.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: null
+  });
+});
+
+// @desc    A shared collection, read-only
+// @route   GET /api/v1/collections/shared/:token
+// @access  Public
+exports.getSharedCollection = asyncHandler(async (req, res) => {
+  const collection = await collectionService.getSharedCollection(req.params.token);
+
+  res.status(200).json({
+    status: 'success',
+    data: { collection }
+  });
+});
@@ -0,0 +1,470 @@
+const mongoose = require('mongoose');
+const Comment = require('../models/Comment');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const ErrorResponse = require('../utils/ErrorResponse');
+const asyncHandler = require('../utils/asyncHandler');
+const { hasPermission } = require('../config/permissions');
+const { encodeCursor, afterCursor } = require('../utils/cursor');
+const answerService = require('../services/answer.service');
+const notificationService = require('../services/notification.service');
+const gamificationService = require('../services/gamification.service');
+const moderationService = require('../services/moderation.service');
+const contentFilter = require('../services/contentFilter');
+const revisionService = require('../services/revision.service');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const DEFAULT_REPLIES_LIMIT = 3;
+const MAX_REPLIES_LIMIT = 20;
+
+// Deleted and moderated comments stay in the tree as placeholders so their
+// replies keep their context
+const VISIBLE_STATUSES = ['active', 'deleted', 'flagged', 'hidden'];
+
+const parseLimit = (value, fallback, max) =>
+  Math.min(parseInt(value, 10) || fallback, max);
+
+const canEditComment = (user, comment) =>
+  comment.author.equals(user._id) || hasPermission(user, 'comment:edit-any');
+
+const canDeleteComment = (user, comment) =>
+  comment.author.equals(user._id) || hasPermission(user, 'comment:delete-any');
+
+const serializeComment = (comment) => {
+  const data = comment.toJSON();
+  delete data.editHistory;
+
+  if (comment.status !== 'active') {
+    data.content = null;
+    data.authorName = null;
+    delete data.author;
+    delete data.authorAvatar;
+    delete data.attachments;
+  }
+
+  return data;
+};
+
+// Resolve @username mentions in the content to user ids
+const extractMentions = async (content) => {
+  const usernames = [...new Set((content.match(/@([a-zA-Z0-9_]{3,30})/g) || []).map(m => m.slice(1)))];
+  if (!usernames.length) return [];
+
+  const users = await User.find({ username: { $in: usernames }, isActive: true }).select('_id');
+  return users.map(user => user._id);
+};
+
+// Count visible direct replies for a set of comments in one query
+const countReplies = async (commentIds) => {
+  const counts = await Comment.aggregate([
+    { $match: { parentComment: { $in: commentIds }, status: { $in: VISIBLE_STATUSES } } },
+    { $group: { _id: '$parentComment', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+// One page of direct replies, oldest first
+const findReplies = async (parentId, limit, cursor) => {
+  const filter = { parentComment: parentId, status: { $in: VISIBLE_STATUSES } };
+  const query = cursor ? { $and: [filter, afterCursor('createdAt', cursor, 1)] } : filter;
+
+  const replies = await Comment.find(query)
+    .sort({ createdAt: 1, _id: 1 })
+    .limit(limit + 1);
+
+  const hasMore = replies.length > limit;
+  if (hasMore) replies.pop();
+
+  return {
+    replies,
+    nextCursor: hasMore ? encodeCursor(replies[replies.length - 1], 'createdAt') : null
+  };
+};
+
+// Attach repliesCount and the first page of replies to each comment
+const buildNodes = async (comments, repliesLimit) => {
+  const ids = comments.map(comment => comment._id);
+  const counts = await countReplies(ids);
+
+  return Promise.all(comments.map(async (comment) => {
+    const node = serializeComment(comment);
+    node.repliesCount = counts.get(comment._id.toString()) || 0;
+
+    if (repliesLimit > 0 && node.repliesCount > 0) {
+      const { replies, nextCursor } = await findReplies(comment._id, repliesLimit);
+      const replyCounts = await countReplies(replies.map(reply => reply._id));
+      node.replies = replies.map(reply => ({
+        ...serializeComment(reply),
+        repliesCount: replyCounts.get(reply._id.toString()) || 0,
+        replies: []
+      }));
+      node.nextRepliesCursor = nextCursor;
+    } else {
+      node.replies = [];
+      node.nextRepliesCursor = null;
+    }
+
+    return node;
+  }));
+};
+
+// Reply and @mention notifications; someone both replied to and mentioned gets one
+const notifyCommentCreated = async (comment, post, parent, actor) => {
+  const base = { actor, actorIsAnonymous: comment.isAnonymous, post, comment };
+  const notified = new Set();
+
+  if (parent) {
+    notified.add(parent.author.toString());
+    await notificationService.notifySafely({
+      ...base,
+      recipient: parent.author,
+      type: 'comment_reply',
+      message: 'replied to your comment'
+    });
+  }
+
+  const mentioned = comment.mentions.filter(userId => !notified.has(userId.toString()));
+  await Promise.all(mentioned.map(userId => notificationService.notifySafely({
+    ...base,
+    recipient: userId,
+    type: 'mention',
+    message: 'mentioned you in a comment'
+  })));
+};
+
+// Run the content filter on a comment about to be saved. Returns the findings
+// when it is held back, after switching it to 'flagged' for the moderators.
+const screenComment = async (user, comment, isNew) => {
+  const { verdict, results } = await contentFilter.screen({
+    user,
+    targetType: 'Comment',
+    targetId: comment._id,
+    isNew,
+    text: comment.content,
+    content: comment.content
+  });
+  if (verdict !== 'flag') return null;
+
+  comment.status = 'flagged';
+  return results;
+};
+
+const HELD_MESSAGE = 'Your comment will be visible once a moderator has reviewed it';
+
+const findActiveComment = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ErrorResponse('Comment not found', 404);
+  }
+
+  const comment = await Comment.findOne({ _id: id, status: 'active' });
+  if (!comment) {
+    throw new ErrorResponse('Comment not found', 404);
+  }
+  return comment;
+};
+
+// @desc    List the comment tree of a post
+// @route   GET /api/v1/comments/post/:postId
+// @access  Public
+exports.getPostComments = asyncHandler(async (req, res) => {
+  const limit = parseLimit(req.query.limit, DEFAULT_LIMIT, MAX_LIMIT);
+  const repliesLimit = Math.max(0, parseLimit(req.query.repliesLimit, DEFAULT_REPLIES_LIMIT, MAX_REPLIES_LIMIT));
+
+  const post = await Post.findOne({ _id: req.params.postId, status: 'published' }).select('_id acceptedAnswer');
+  if (!post) {
+    throw new ErrorResponse('Post not found', 404);
+  }
+
+  // The accepted answer is pinned to the top of the first page and left out of the rest
+  const filter = {
+    post: post._id,
+    parentComment: null,
+    status: { $in: VISIBLE_STATUSES },
+    isAcceptedAnswer: { $ne: true }
+  };
+  const query = req.query.cursor
+    ? { $and: [filter, afterCursor('createdAt', req.query.cursor)] }
+    : filter;
+
+  const comments = await Comment.find(query)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit + 1);
+
+  const hasMore = comments.length > limit;
+  if (hasMore) comments.pop();
+
+  const pinned = !req.query.cursor && post.acceptedAnswer
+    ? await Comment.findOne({ _id: post.acceptedAnswer, status: 'active' })
+    : null;
+
+  const nodes = await buildNodes(pinned ? [pinned, ...comments] : comments, repliesLimit);
+
+  res.status(200).json({
+    status: 'success',
+    results: nodes.length,
+    data: { comments: nodes },
+    pagination: {
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(comments[comments.length - 1], 'createdAt') : null
+    }
+  });
+});
+
+// @desc    Load more replies of a comment
+// @route   GET /api/v1/comments/:id/replies
+// @access  Public
+exports.getReplies = asyncHandler(async (req, res) => {
+  const limit = parseLimit(req.query.limit, DEFAULT_LIMIT, MAX_LIMIT);
+  const repliesLimit = Math.max(0, parseLimit(req.query.repliesLimit, 0, MAX_REPLIES_LIMIT));
+
+  const parent = await Comment.findOne({ _id: req.params.id, status: { $in: VISIBLE_STATUSES } }).select('_id');
+  if (!parent) {
+    throw new ErrorResponse('Comment not found', 404);
+  }
+
+  const { replies, nextCursor } = await findReplies(parent._id, limit, req.query.cursor);
+  const nodes = await buildNodes(replies, repliesLimit);
+
+  res.status(200).json({
+    status: 'success',
+    results: nodes.length,
+    data: { replies: nodes },
+    pagination: {
+      hasMore: Boolean(nextCursor),
+      nextCursor
+    }
+  });
+});
+
+// @desc    Add a comment or reply to a post
+// @route   POST /api/v1/comments
+// @access  Private
+exports.createComment = asyncHandler(async (req, res) => {
+  const { post: postId, parentComment, content } = req.body;
+  const isAnonymous = Boolean(req.body.isAnonymous);
+
+  const post = await Post.findOne({ _id: postId, status: 'published' }).select('_id slug title subject');
+  if (!post) {
+    throw new ErrorResponse('Post not found', 404);
+  }
+
+  let parent = null;
+  if (parentComment) {
+    parent = await Comment.findOne({ _id: parentComment, post: post._id, status: 'active' }).select('author');
+    if (!parent) {
+      throw new ErrorResponse('Parent comment not found on this post', 400);
+    }
+  }
+
+  const comment = new Comment({
+    content,
+    post: post._id,
+    parentComment: parentComment || null,
+    isAnonymous,
+    author: req.user._id,
+    authorName: isAnonymous ? 'مجهول' : req.user.displayName,
+    authorAvatar: isAnonymous ? undefined : req.user.avatar,
+    mentions: await extractMentions(content)
+  });
+
+  const held = await screenComment(req.user, comment, true);
+  await comment.save();
+
+  if (held) {
+    await moderationService.holdForReview('Comment', comment, held);
+  } else {
+    await gamificationService.syncCommentPoints(comment, post);
+    await notifyCommentCreated(comment, post, parent, req.user);
+  }
+
+  res.status(201).json({
+    status: 'success',
+    ...(held && { message: HELD_MESSAGE }),
+    data: { comment: serializeComment(comment) }
+  });
+});
+
+const findEditableComment = async (req) => {
+  const comment = await findActiveComment(req.params.id);
+
+  if (!canEditComment(req.user, comment)) {
+    throw new ErrorResponse('Not authorized to edit this comment', 403);
+  }
+
+  return comment;
+};
+
+// Replace the content of a comment, recording the old one in its edit history.
+// Returns the content filter findings when the comment is held back.
+const editComment = async (user, comment, content, reason) => {
+  comment.content = content;
+  comment.mentions = await extractMentions(content);
+  comment.$locals.editedBy = user._id;
+  comment.$locals.editReason = reason;
+
+  const held = await screenComment(user, comment, false);
+  await comment.save();
+
+  if (held) {
+    await moderationService.holdForReview('Comment', comment, held);
+    await gamificationService.syncCommentPoints(comment);
+  }
+  return held;
+};
+
+// @desc    Edit a comment
+// @route   PUT /api/v1/comments/:id
+// @access  Private (author, moderator, admin)
+exports.updateComment = asyncHandler(async (req, res) => {
+  const comment = await findEditableComment(req);
+  const held = await editComment(req.user, comment, req.body.content, req.body.reason);
+
+  res.status(200).json({
+    status: 'success',
+    ...(held && { message: HELD_MESSAGE }),
+    data: { comment: serializeComment(comment) }
+  });
+});
+
+// Anonymous comments keep their author hidden in the history too
+const serializeCommentRevision = (revision, comment) => {
+  const byAuthor = Boolean(revision.editor) && comment.author.equals(revision.editor);
+  return {
+    ...revision,
+    editor: byAuthor && comment.isAnonymous ? null : revision.editor,
+    byAuthor
+  };
+};
+
+// @desc    Edit history of a comment, oldest version first
+// @route   GET /api/v1/comments/:id/revisions
+// @access  Private (author, moderator, admin)
+exports.getCommentRevisions = asyncHandler(async (req, res) => {
+  const comment = await findEditableComment(req);
+  const revisions = revisionService.getCommentRevisions(comment)
+    .map(revision => serializeCommentRevision(revision, comment));
+
+  res.status(200).json({
+    status: 'success',
+    results: revisions.length,
+    data: { revisions }
+  });
+});
+
+// @desc    Bring back an earlier version of a comment, as a new edit
+// @route   POST /api/v1/comments/:id/revisions/:number/restore
+// @access  Private (author, moderator, admin)
+exports.restoreCommentRevision = asyncHandler(async (req, res) => {
+  const comment = await findEditableComment(req);
+  const revisions = revisionService.getCommentRevisions(comment);
+  const number = parseInt(req.params.number, 10);
+  const revision = revisions[number - 1];
+
+  if (!revision) {
+    throw new ErrorResponse('Revision not found', 404);
+  }
+  if (number === revisions.length) {
+    throw new ErrorResponse('This is already the current revision', 400);
+  }
+
+  const held = await editComment(req.user, comment, revision.content, req.body.reason || `Restored revision ${number}`);
+
+  res.status(200).json({
+    status: 'success',
+    ...(held && { message: HELD_MESSAGE }),
+    data: { comment: serializeComment(comment) }
+  });
+});
+
+// @desc    Soft-delete a comment
+// @route   DELETE /api/v1/comments/:id
+// @access  Private (author, moderator, admin)
+exports.deleteComment = asyncHandler(async (req, res) => {
+  const comment = await findActiveComment(req.params.id);
+
+  if (!canDeleteComment(req.user, comment)) {
+    throw new ErrorResponse('Not authorized to delete this comment', 403);
+  }
+
+  // A deleted comment can't stay the answer; the question goes back to unsolved
+  if (comment.isAcceptedAnswer) {
+    await answerService.unacceptAnswer(comment.post, comment._id);
+  }
+
+  comment.status = 'deleted';
+  await comment.save();
+  await gamificationService.syncCommentPoints(comment);
+
+  res.status(200).json({
+    status: 'success',
+    data: null
+  });
+});
+
+const findAnswerContext = async (req) => {
+  const comment = await findActiveComment(req.params.id);
+  const post = await Post.findOne({ _id: comment.post, status: 'published' }).select('author postType acceptedAnswer');
+
+  if (!post || post.postType !== 'question') {
+    throw new ErrorResponse('Answers can only be accepted on question posts', 400);
+  }
+
+  // The asker decides; teachers can verify answers on any question
+  if (!post.author.equals(req.user._id) && !hasPermission(req.user, 'answer:verify')) {
+    throw new ErrorResponse('Only the asker or a teacher can accept answers', 403);
+  }
+
+  return { post, comment };
+};
+
+// @desc    Accept a comment as the answer to a question
+// @route   POST /api/v1/comments/:id/accept
+// @access  Private (question author, teacher, moderator, admin)
+exports.acceptAnswer = asyncHandler(async (req, res) => {
+  const { post, comment } = await findAnswerContext(req);
+
+  if (comment.parentComment) {
+    throw new ErrorResponse('Only top-level comments can be accepted as answers', 400);
+  }
+
+  if (comment.author.equals(post.author)) {
+    throw new ErrorResponse('The asker cannot accept their own comment', 400);
+  }
+
+  await answerService.acceptAnswer(post._id, comment._id, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    data: { postId: post._id, acceptedAnswer: comment._id, isSolved: true }
+  });
+});
+
+// @desc    Withdraw the accepted answer of a question
+// @route   DELETE /api/v1/comments/:id/accept
+// @access  Private (question author, teacher, moderator, admin)
+exports.unacceptAnswer = asyncHandler(async (req, res) => {
+  const { post, comment } = await findAnswerContext(req);
+
+  await answerService.unacceptAnswer(post._id, comment._id);
+
+  res.status(200).json({
+    status: 'success',
+    data: { postId: post._id, acceptedAnswer: null, isSolved: false }
+  });
+});
+
+// @desc    Flag a comment for the moderators
+// @route   POST /api/v1/comments/:id/flag
+// @access  Private
+exports.flagComment = asyncHandler(async (req, res) => {
+  const comment = await findActiveComment(req.params.id);
+
+  await moderationService.flagContent('Comment', comment, req.user, req.body);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Thanks, the moderators will review this comment',
+    data: null
+  });
+});
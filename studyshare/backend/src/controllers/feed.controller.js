@@ -0,0 +1,35 @@
+const asyncHandler = require('../utils/asyncHandler');
+const feedService = require('../services/feed.service');
+const engagementService = require('../services/engagement.service');
+const { encodeOffsetCursor, decodeCursor } = require('../utils/cursor');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+// @desc    Personalized feed: followed authors, subjects and grade, trending
+//          posts and unanswered questions, without posts already read
+// @route   GET /api/v1/feed
+// @access  Private
+exports.getFeed = asyncHandler(async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+  const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+
+  const { entries, snapshotId, nextOffset } = await feedService.getFeedPage(req.user, { cursor, limit });
+  const viewerState = await engagementService.getViewerState(entries.map(({ post }) => post._id), req.user._id);
+
+  const posts = entries.map(({ post, reason }) => ({
+    ...post.toJSON(),
+    feedReason: reason,
+    viewer: viewerState.get(post._id.toString())
+  }));
+
+  res.status(200).json({
+    status: 'success',
+    results: posts.length,
+    data: { posts },
+    pagination: {
+      hasMore: nextOffset !== null,
+      nextCursor: nextOffset !== null ? encodeOffsetCursor(nextOffset, snapshotId) : null
+    }
+  });
+});
@@ -0,0 +1,142 @@
+const Follow = require('../models/Follow');
+const User = require('../models/User');
+const ErrorResponse = require('../utils/ErrorResponse');
+const asyncHandler = require('../utils/asyncHandler');
+const followService = require('../services/follow.service');
+const privacyService = require('../services/privacy.service');
+const { encodeCursor, afterCursor } = require('../utils/cursor');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+const USER_FIELDS = 'displayName username avatar isAnonymous grade stats.followersCount';
+
+// One page of a user's followers or followees, most recent first
+const listConnections = (direction) => asyncHandler(async (req, res) => {
+  const user = await User.findOne({ _id: req.params.id, isActive: true }).select('privacy stats');
+
+  if (!user) {
+    throw new ErrorResponse('User not found', 404);
+  }
+
+  if (!(await privacyService.canViewProfile(req.user, user))) {
+    throw new ErrorResponse('This profile is private', 403);
+  }
+
+  const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+  const [own, other] = direction === 'followers' ? ['followee', 'follower'] : ['follower', 'followee'];
+
+  const filter = { [own]: user._id, targetType: 'User' };
+  const query = req.query.cursor
+    ? { $and: [filter, afterCursor('createdAt', req.query.cursor)] }
+    : filter;
+
+  const follows = await Follow.find(query)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit + 1)
+    .populate(other, USER_FIELDS);
+
+  const hasMore = follows.length > limit;
+  if (hasMore) follows.pop();
+
+  // Deactivated accounts drop out of the list
+  const users = follows
+    .map(follow => follow[other])
+    .filter(Boolean);
+
+  res.status(200).json({
+    status: 'success',
+    results: users.length,
+    data: {
+      users,
+      count: direction === 'followers' ? user.stats.followersCount : user.stats.followingCount
+    },
+    pagination: {
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(follows[follows.length - 1], 'createdAt') : null
+    }
+  });
+});
+
+// @desc    Follow a user
+// @route   POST /api/v1/users/:id/follow
+// @access  Private
+exports.followUser = asyncHandler(async (req, res) => {
+  const changed = await followService.followUser(req.user, req.params.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: { following: true, changed }
+  });
+});
+
+// @desc    Stop following a user
+// @route   DELETE /api/v1/users/:id/follow
+// @access  Private
+exports.unfollowUser = asyncHandler(async (req, res) => {
+  const changed = await followService.unfollowUser(req.user, req.params.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: { following: false, changed }
+  });
+});
+
+// @desc    List the followers of a user
+// @route   GET /api/v1/users/:id/followers
+// @access  Public (subject to the user's profile visibility)
+exports.getFollowers = listConnections('followers');
+
+// @desc    List the users a user follows
+// @route   GET /api/v1/users/:id/following
+// @access  Public (subject to the user's profile visibility)
+exports.getFollowing = listConnections('following');
+
+// @desc    Subjects and tags I follow, and my follow counts
+// @route   GET /api/v1/follows
+// @access  Private
+exports.getMyFollows = asyncHandler(async (req, res) => {
+  const topics = await followService.getFollowedTopics(req.user._id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      ...topics,
+      followersCount: req.user.stats.followersCount,
+      followingCount: req.user.stats.followingCount
+    }
+  });
+});
+
+// Shared by subject and tag follows; repeated calls leave the state unchanged
+const setTopicFollow = (targetType, active) => asyncHandler(async (req, res) => {
+  const topic = req.params.topic;
+  const changed = active
+    ? await followService.followTopic(req.user, targetType, topic)
+    : await followService.unfollowTopic(req.user, targetType, topic);
+
+  res.status(200).json({
+    status: 'success',
+    data: { [targetType.toLowerCase()]: topic, following: active, changed }
+  });
+});
+
+// @desc    Follow a subject
+// @route   POST /api/v1/follows/subjects/:topic
+// @access  Private
+exports.followSubject = setTopicFollow('Subject', true);
+
+// @desc    Stop following a subject
+// @route   DELETE /api/v1/follows/subjects/:topic
+// @access  Private
+exports.unfollowSubject = setTopicFollow('Subject', false);
+
+// @desc    Follow a tag
+// @route   POST /api/v1/follows/tags/:topic
+// @access  Private
+exports.followTag = setTopicFollow('Tag', true);
+
+// @desc    Stop following a tag
+// @route   DELETE /api/v1/follows/tags/:topic
+// @access  Private
+exports.unfollowTag = setTopicFollow('Tag', false);
@@ -0,0 +1,24 @@
+const asyncHandler = require('../utils/asyncHandler');
+const leaderboardService = require('../services/leaderboard.service');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// @desc    Leaderboard for a time window, optionally within a subject and grade
+// @route   GET /api/v1/leaderboards
+// @access  Public (includes the caller's own position when logged in)
+exports.getLeaderboard = asyncHandler(async (req, res) => {
+  const leaderboard = await leaderboardService.getLeaderboard({
+    window: req.query.window || 'weekly',
+    subject: req.query.subject || null,
+    grade: req.query.grade || null,
+    limit: Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT),
+    userId: req.user ? req.user._id : null
+  });
+
+  res.status(200).json({
+    status: 'success',
+    results: leaderboard.entries.length,
+    data: { leaderboard }
+  });
+});
@@ -0,0 +1,161 @@
+const Flag = require('../models/Flag');
+const FilterEvent = require('../models/FilterEvent');
+const ModerationItem = require('../models/ModerationItem');
+const ModerationLog = require('../models/ModerationLog');
+const ErrorResponse = require('../utils/ErrorResponse');
+const asyncHandler = require('../utils/asyncHandler');
+const moderationService = require('../services/moderation.service');
+const { encodeCursor, afterCursor } = require('../utils/cursor');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+// Enough of the post or comment to decide without opening it
+const TARGET_FIELDS = 'title slug content status author authorName isAnonymous post createdAt';
+
+const parseLimit = (value) => Math.min(parseInt(value, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+
+// @desc    Moderation queue: most flagged first (open), latest decisions first (resolved)
+// @route   GET /api/v1/moderation/queue
+// @access  Private (moderator, admin)
+exports.getQueue = asyncHandler(async (req, res) => {
+  const limit = parseLimit(req.query.limit);
+  const status = req.query.status || 'open';
+  const sortField = status === 'open' ? 'flagsCount' : 'resolvedAt';
+
+  const filter = { status };
+  if (req.query.type) filter.targetType = req.query.type;
+
+  const query = req.query.cursor
+    ? { $and: [filter, afterCursor(sortField, req.query.cursor)] }
+    : filter;
+
+  const items = await ModerationItem.find(query)
+    .sort({ [sortField]: -1, _id: -1 })
+    .limit(limit + 1)
+    .populate('target', TARGET_FIELDS)
+    .populate('author', 'displayName username avatar');
+
+  const hasMore = items.length > limit;
+  if (hasMore) items.pop();
+
+  res.status(200).json({
+    status: 'success',
+    results: items.length,
+    data: { items },
+    pagination: {
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(items[items.length - 1], sortField) : null
+    }
+  });
+});
+
+// @desc    One queue item with its flags and moderation history
+// @route   GET /api/v1/moderation/items/:id
+// @access  Private (moderator, admin)
+exports.getItem = asyncHandler(async (req, res) => {
+  const item = await ModerationItem.findById(req.params.id)
+    .populate('target', TARGET_FIELDS)
+    .populate('author', 'displayName username avatar');
+
+  if (!item) {
+    throw new ErrorResponse('Moderation item not found', 404);
+  }
+
+  const targetId = item.populated('target') || item.target;
+  const [flags, history] = await Promise.all([
+    Flag.find({ target: targetId })
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .populate('user', 'displayName username'),
+    ModerationLog.find({ target: targetId })
+      .sort({ createdAt: -1 })
+      .populate('moderator', 'displayName username')
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    data: { item, flags, history }
+  });
+});
+
+// @desc    Approve, hide, delete or warn about a queue item
+// @route   POST /api/v1/moderation/items/:id/actions
+// @access  Private (moderator, admin)
+exports.takeAction = asyncHandler(async (req, res) => {
+  const { item, target } = await moderationService.applyAction(req.params.id, req.user, {
+    action: req.body.action,
+    note: req.body.note
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: { item, targetStatus: target.status }
+  });
+});
+
+// @desc    Audit trail of moderation actions, newest first
+// @route   GET /api/v1/moderation/log
+// @access  Private (moderator, admin)
+exports.getLog = asyncHandler(async (req, res) => {
+  const limit = parseLimit(req.query.limit);
+
+  const filter = {};
+  if (req.query.moderator) filter.moderator = req.query.moderator;
+  if (req.query.target) filter.target = req.query.target;
+
+  const query = req.query.cursor
+    ? { $and: [filter, afterCursor('createdAt', req.query.cursor)] }
+    : filter;
+
+  const entries = await ModerationLog.find(query)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit + 1)
+    .populate('moderator', 'displayName username');
+
+  const hasMore = entries.length > limit;
+  if (hasMore) entries.pop();
+
+  res.status(200).json({
+    status: 'success',
+    results: entries.length,
+    data: { entries },
+    pagination: {
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(entries[entries.length - 1], 'createdAt') : null
+    }
+  });
+});
+
+// @desc    What the content filter rejected, held back or let through, newest first
+// @route   GET /api/v1/moderation/filter-events
+// @access  Private (moderator, admin)
+exports.getFilterEvents = asyncHandler(async (req, res) => {
+  const limit = parseLimit(req.query.limit);
+
+  const filter = {};
+  if (req.query.verdict) filter.verdict = req.query.verdict;
+  if (req.query.user) filter.user = req.query.user;
+
+  const query = req.query.cursor
+    ? { $and: [filter, afterCursor('createdAt', req.query.cursor)] }
+    : filter;
+
+  const events = await FilterEvent.find(query)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit + 1)
+    .populate('user', 'displayName username');
+
+  const hasMore = events.length > limit;
+  if (hasMore) events.pop();
+
+  res.status(200).json({
+    status: 'success',
+    results: events.length,
+    data: { events },
+    pagination: {
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(events[events.length - 1], 'createdAt') : null
+    }
+  });
+});
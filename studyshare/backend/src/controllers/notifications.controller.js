@@ -0,0 +1,116 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const ErrorResponse = require('../utils/ErrorResponse');
+const asyncHandler = require('../utils/asyncHandler');
+const notificationService = require('../services/notification.service');
+const { encodeCursor, afterCursor } = require('../utils/cursor');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+const PREFERENCE_KEYS = [...Notification.PREFERENCE_TYPES, 'emailDigest'];
+
+// @desc    List my notifications, newest first
+// @route   GET /api/v1/notifications
+// @access  Private
+exports.getNotifications = asyncHandler(async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+
+  const filter = { recipient: req.user._id };
+  if (req.query.unread === 'true') filter.read = false;
+
+  const query = req.query.cursor
+    ? { $and: [filter, afterCursor('createdAt', req.query.cursor)] }
+    : filter;
+
+  const notifications = await Notification.find(query)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit + 1);
+
+  const hasMore = notifications.length > limit;
+  if (hasMore) notifications.pop();
+
+  res.status(200).json({
+    status: 'success',
+    results: notifications.length,
+    data: { notifications },
+    pagination: {
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(notifications[notifications.length - 1], 'createdAt') : null
+    }
+  });
+});
+
+// @desc    Number of unread notifications
+// @route   GET /api/v1/notifications/unread-count
+// @access  Private
+exports.getUnreadCount = asyncHandler(async (req, res) => {
+  const unread = await notificationService.getUnreadCount(req.user._id);
+
+  res.status(200).json({
+    status: 'success',
+    data: { unread }
+  });
+});
+
+// @desc    Mark one notification as read
+// @route   PATCH /api/v1/notifications/:id/read
+// @access  Private
+exports.markRead = asyncHandler(async (req, res) => {
+  const notification = await notificationService.markRead(req.user._id, req.params.id);
+
+  if (!notification) {
+    throw new ErrorResponse('Notification not found', 404);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: { notification }
+  });
+});
+
+// @desc    Mark all my notifications as read
+// @route   PATCH /api/v1/notifications/read-all
+// @access  Private
+exports.markAllRead = asyncHandler(async (req, res) => {
+  const updated = await notificationService.markAllRead(req.user._id);
+
+  res.status(200).json({
+    status: 'success',
+    data: { updated }
+  });
+});
+
+// @desc    Get my notification preferences
+// @route   GET /api/v1/notifications/preferences
+// @access  Private
+exports.getPreferences = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: { preferences: req.user.notificationPreferences }
+  });
+});
+
+// @desc    Update my notification preferences
+// @route   PUT /api/v1/notifications/preferences
+// @access  Private
+exports.updatePreferences = asyncHandler(async (req, res) => {
+  const updates = {};
+  PREFERENCE_KEYS.forEach(key => {
+    if (req.body[key] !== undefined) {
+      updates[`notificationPreferences.${key}`] = req.body[key];
+    }
+  });
+
+  if (updates['notificationPreferences.emailDigest'] && !req.user.email) {
+    throw new ErrorResponse('Add an email address to your account to receive digests', 400);
+  }
+
+  const user = await User.findByIdAndUpdate(req.user._id, { $set: updates }, { new: true })
+    .select('notificationPreferences');
+
+  res.status(200).json({
+    status: 'success',
+    data: { preferences: user.notificationPreferences }
+  });
+});
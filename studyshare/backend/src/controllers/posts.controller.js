@@ -0,0 +1,796 @@
+const Post = require('../models/Post');
+const PostRevision = require('../models/PostRevision');
+const ErrorResponse = require('../utils/ErrorResponse');
+const { hasPermission } = require('../config/permissions');
+const engagementService = require('../services/engagement.service');
+const ratingService = require('../services/rating.service');
+const uploadService = require('../services/upload.service');
+const gamificationService = require('../services/gamification.service');
+const moderationService = require('../services/moderation.service');
+const contentFilter = require('../services/contentFilter');
+const followService = require('../services/follow.service');
+const mindmapService = require('../services/mindmap.service');
+const revisionService = require('../services/revision.service');
+const asyncHandler = require('../utils/asyncHandler');
+const { encodeCursor, encodeOffsetCursor, decodeCursor, afterCursor } = require('../utils/cursor');
+
+// Sort keys accepted by the list endpoint, mapped to the field they order by
+const SORT_FIELDS = {
+  latest: 'publishedAt',
+  active: 'lastActivity',
+  top: 'rating.average'
+};
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+// Fields a client may set when creating or editing a post
+const EDITABLE_FIELDS = [
+  'title', 'content', 'excerpt', 'postType', 'subject', 'grade', 'tags',
+  'category', 'attachments', 'keywords', 'metaDescription', 'isAnonymous', 'status'
+];
+
+const pick = (source, fields) =>
+  fields.reduce((result, field) => {
+    if (source[field] !== undefined) result[field] = source[field];
+    return result;
+  }, {});
+
+const toList = (value) => {
+  if (value === undefined) return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => item.trim().toLowerCase())
+    .filter(Boolean);
+};
+
+const canEditPost = (user, post) =>
+  post.author.equals(user._id) || hasPermission(user, 'post:edit-any');
+
+const canDeletePost = (user, post) =>
+  post.author.equals(user._id) || hasPermission(user, 'post:delete-any');
+
+// Fields the content filter looks at
+const SCREENED_FIELDS = ['title', 'excerpt', 'content', 'tags', 'status', 'mindmap'];
+
+// Run the content filter on a post about to go live. Returns the findings when
+// the post is held back, after switching it to 'flagged' for the moderators.
+const screenPost = async (user, post, isNew) => {
+  if (post.status !== 'published') return null;
+  if (!isNew && !SCREENED_FIELDS.some(field => post.isModified(field))) return null;
+
+  const { verdict, results } = await contentFilter.screen({
+    user,
+    targetType: 'Post',
+    targetId: post._id,
+    isNew,
+    text: [post.title, post.excerpt, post.content, post.getMindmapOutline(), ...post.tags].filter(Boolean).join('\n'),
+    content: post.content
+  });
+  if (verdict !== 'flag') return null;
+
+  post.status = 'flagged';
+  return results;
+};
+
+const HELD_MESSAGE = 'Your post will be visible once a moderator has reviewed it';
+
+// Flagged and hidden posts wait for a moderator, who reviews them as they were
+// flagged: only moderators may change their content or republish them
+const assertNotUnderReview = (user, post) => {
+  if (['flagged', 'hidden'].includes(post.status) && !hasPermission(user, 'moderation:resolve')) {
+    throw new ErrorResponse('This post is under review by the moderators', 403);
+  }
+};
+
+// Save an edited post (already screened, `held` being the findings if any) and
+// follow up on it: moderation, points and follower notifications when its
+// status changed, the mindmap image, and a new revision when its content
+// changed. Returns that revision, or null.
+const saveEditedPost = async (user, post, held, revisionOptions) => {
+  const statusChanged = post.isModified('status');
+  // A post switched to another type loses its tree when it is validated
+  const mindmapChanged = post.isModified('mindmap') || post.isModified('postType');
+  const previousImage = post.mindmap && post.mindmap.image;
+  await post.saveWithFreeSlug();
+
+  if (held) {
+    await moderationService.holdForReview('Post', post, held);
+  }
+  if (statusChanged) {
+    await gamificationService.syncPostPoints(post);
+    if (post.status === 'published') {
+      followService.notifyFollowersSafely(post);
+    }
+  }
+  // Autosaves leave the image behind, so drafts catch up on their next save
+  if (post.mindmap) {
+    const { image, revision } = post.mindmap;
+    if (!image || image.revision !== revision) mindmapService.renderImageSafely(post);
+  } else if (mindmapChanged) {
+    mindmapService.removeImageSafely(previousImage);
+  }
+
+  return revisionService.recordRevision(post, user, revisionOptions);
+};
+
+// Published posts are public; anything else is only visible to whoever may edit it
+const findVisiblePost = async (slug, user) => {
+  const post = await Post.findOne({ slug, status: { $ne: 'deleted' } })
+    .populate('commentsCount');
+
+  if (!post) {
+    throw new ErrorResponse('Post not found', 404);
+  }
+
+  if (post.status !== 'published' && !(user && canEditPost(user, post))) {
+    throw new ErrorResponse('Post not found', 404);
+  }
+
+  return post;
+};
+
+const buildFilter = (query) => {
+  const filter = { status: 'published' };
+
+  ['subject', 'grade', 'postType', 'category'].forEach(field => {
+    if (query[field]) filter[field] = String(query[field]);
+  });
+
+  const tags = toList(query.tags);
+  if (tags.length) filter.tags = { $in: tags };
+
+  return filter;
+};
+
+// @desc    List posts with filtering, sorting and cursor pagination
+// @route   GET /api/v1/posts
+// @access  Public
+exports.getPosts = asyncHandler(async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+  const sort = req.query.sort || 'latest';
+  const filter = buildFilter(req.query);
+
+  if (sort === 'trending') {
+    const offset = req.query.cursor ? decodeCursor(req.query.cursor).o || 0 : 0;
+    const { subject, ...match } = filter;
+    const posts = await Post.getTrending(limit + 1, subject || null, { match, skip: offset });
+    const hasMore = posts.length > limit;
+    if (hasMore) posts.pop();
+
+    return res.status(200).json({
+      status: 'success',
+      results: posts.length,
+      data: { posts },
+      pagination: {
+        hasMore,
+        nextCursor: hasMore ? encodeOffsetCursor(offset + limit) : null
+      }
+    });
+  }
+
+  const field = SORT_FIELDS[sort];
+  if (!field) {
+    throw new ErrorResponse(`Invalid sort option, use one of: ${[...Object.keys(SORT_FIELDS), 'trending'].join(', ')}`, 400);
+  }
+
+  const query = req.query.cursor
+    ? { $and: [filter, afterCursor(field, req.query.cursor)] }
+    : filter;
+
+  const posts = await Post.find(query)
+    .sort({ [field]: -1, _id: -1 })
+    .limit(limit + 1)
+    .select('-moderationNotes')
+    .populate('commentsCount');
+
+  const hasMore = posts.length > limit;
+  if (hasMore) posts.pop();
+
+  res.status(200).json({
+    status: 'success',
+    results: posts.length,
+    data: { posts },
+    pagination: {
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(posts[posts.length - 1], field) : null
+    }
+  });
+});
+
+// Param middleware for :slug. A slug the post had before a title edit
+// redirects to the same path under the current one: 301 for reads, 308 for
+// writes so the method and body are kept. Only published posts redirect; it
+// runs before authentication, and the Location would give away the new slug
+// of a post the caller may not see. Those fall through to the usual 404.
+exports.redirectOldSlug = asyncHandler(async (req, res, next) => {
+  const { slug } = req.params;
+  const post = await Post.findOne({ slugs: slug, slug: { $ne: slug }, status: 'published' })
+    .select('slug');
+
+  if (!post) return next();
+
+  const [, , ...rest] = req.path.split('/');
+  const queryStart = req.originalUrl.indexOf('?');
+  const query = queryStart === -1 ? '' : req.originalUrl.slice(queryStart);
+  const location = [req.baseUrl, encodeURIComponent(post.slug), ...rest].join('/') + query;
+
+  res.redirect(['GET', 'HEAD'].includes(req.method) ? 301 : 308, location);
+});
+
+// @desc    Get a single post by slug
+// @route   GET /api/v1/posts/:slug
+// @access  Public (drafts and hidden posts: author, moderators, admins)
+exports.getPost = asyncHandler(async (req, res) => {
+  const post = await findVisiblePost(req.params.slug, req.user);
+  const userId = req.user ? req.user._id : null;
+
+  if (post.status === 'published') {
+    const counted = await engagementService.recordView(post, { userId, ip: req.ip });
+    if (counted) post.views += 1;
+  }
+
+  const viewerState = await engagementService.getViewerState([post._id], userId);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      post,
+      // Anonymous posts don't carry the author id, so tell the author it's theirs
+      viewer: {
+        ...viewerState.get(post._id.toString()),
+        isAuthor: Boolean(userId) && post.author.equals(userId)
+      }
+    }
+  });
+});
+
+// @desc    Create a post
+// @route   POST /api/v1/posts
+// @access  Private
+exports.createPost = asyncHandler(async (req, res) => {
+  const data = pick(req.body, EDITABLE_FIELDS);
+  const isAnonymous = Boolean(data.isAnonymous);
+
+  if (data.status && !['draft', 'published'].includes(data.status)) {
+    throw new ErrorResponse('New posts can only be drafts or published', 400);
+  }
+
+  const { attachments, ...fields } = data;
+  const post = new Post({
+    ...fields,
+    isAnonymous,
+    author: req.user._id,
+    authorName: isAnonymous ? 'مجهول' : req.user.displayName,
+    authorAvatar: isAnonymous ? undefined : req.user.avatar
+  });
+
+  if (post.postType === 'mindmap' && req.body.mindmap) {
+    await mindmapService.setTree(post, req.body.mindmap.nodes);
+  }
+
+  const held = await screenPost(req.user, post, true);
+
+  // Attachments are sent as upload ids and resolved server side
+  post.attachments = await uploadService.attachToPost(req.user._id, attachments, post._id);
+
+  try {
+    await post.saveWithFreeSlug();
+  } catch (error) {
+    await uploadService.releaseFromPost(post._id);
+    throw error;
+  }
+
+  if (held) {
+    await moderationService.holdForReview('Post', post, held);
+  }
+  await gamificationService.syncPostPoints(post);
+  if (post.status === 'published') {
+    followService.notifyFollowersSafely(post);
+  }
+  if (post.mindmap) {
+    mindmapService.renderImageSafely(post);
+  }
+  await revisionService.recordRevision(post, req.user);
+
+  res.status(201).json({
+    status: 'success',
+    ...(held && { message: HELD_MESSAGE }),
+    data: { post }
+  });
+});
+
+// @desc    Update a post
+// @route   PUT /api/v1/posts/:slug
+// @access  Private (author, moderator, admin)
+exports.updatePost = asyncHandler(async (req, res) => {
+  const post = await Post.findOne({ slug: req.params.slug, status: { $ne: 'deleted' } });
+
+  if (!post) {
+    throw new ErrorResponse('Post not found', 404);
+  }
+
+  if (!canEditPost(req.user, post)) {
+    throw new ErrorResponse('Not authorized to edit this post', 403);
+  }
+
+  const updates = pick(req.body, EDITABLE_FIELDS);
+  if (updates.status && !['draft', 'published', 'archived'].includes(updates.status)) {
+    throw new ErrorResponse('Invalid status change', 400);
+  }
+
+  if (SCREENED_FIELDS.some(field => updates[field] !== undefined) || req.body.mindmap) {
+    assertNotUnderReview(req.user, post);
+  }
+
+  if (updates.isAnonymous !== undefined) {
+    const isAnonymous = Boolean(updates.isAnonymous);
+    updates.isAnonymous = isAnonymous;
+    if (post.author.equals(req.user._id)) {
+      updates.authorName = isAnonymous ? 'مجهول' : req.user.displayName;
+      updates.authorAvatar = isAnonymous ? undefined : req.user.avatar;
+    }
+  }
+
+  const { attachments, ...changes } = updates;
+  post.set(changes);
+
+  if (post.postType === 'mindmap' && req.body.mindmap) {
+    await mindmapService.setTree(post, req.body.mindmap.nodes);
+  }
+
+  const held = await screenPost(req.user, post, false);
+
+  if (attachments !== undefined) {
+    post.attachments = await uploadService.attachToPost(post.author, attachments, post._id);
+    await uploadService.releaseFromPost(post._id, post.attachments.map(attachment => attachment.upload));
+  }
+
+  const revision = await saveEditedPost(req.user, post, held, { reason: req.body.reason });
+
+  res.status(200).json({
+    status: 'success',
+    ...(held && { message: HELD_MESSAGE }),
+    data: { post, revision: revision && revision.number }
+  });
+});
+
+// Drafts
+
+// Fields an autosave may write; anonymity, attachments and the status go through updatePost
+const AUTOSAVE_FIELDS = [
+  'title', 'content', 'excerpt', 'postType', 'subject', 'grade', 'tags',
+  'category', 'keywords', 'metaDescription'
+];
+
+// @desc    List my drafts, most recently saved first
+// @route   GET /api/v1/posts/drafts
+// @access  Private
+exports.getDrafts = asyncHandler(async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+  const filter = { author: req.user._id, status: 'draft' };
+  const query = req.query.cursor
+    ? { $and: [filter, afterCursor('updatedAt', req.query.cursor)] }
+    : filter;
+
+  const drafts = await Post.find(query)
+    .sort({ updatedAt: -1, _id: -1 })
+    .limit(limit + 1)
+    .select('title slug excerpt postType subject grade tags isAnonymous createdAt updatedAt');
+
+  const hasMore = drafts.length > limit;
+  if (hasMore) drafts.pop();
+
+  res.status(200).json({
+    status: 'success',
+    results: drafts.length,
+    data: { drafts },
+    pagination: {
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(drafts[drafts.length - 1], 'updatedAt') : null
+    }
+  });
+});
+
+// @desc    Autosave a draft, without recording a revision
+// @route   PUT /api/v1/posts/:slug/autosave
+// @access  Private (author)
+exports.autosaveDraft = asyncHandler(async (req, res) => {
+  const post = await Post.findOne({ slug: req.params.slug, author: req.user._id, status: 'draft' });
+
+  if (!post) {
+    throw new ErrorResponse('Draft not found', 404);
+  }
+
+  // Another tab or device saved the draft after this editor loaded it
+  if (req.body.lastSavedAt && post.updatedAt > new Date(req.body.lastSavedAt)) {
+    throw new ErrorResponse('This draft was changed elsewhere, reload it before saving', 409, {
+      savedAt: post.updatedAt
+    });
+  }
+
+  // Drafts are neither screened nor counted; that happens when updatePost publishes them
+  post.set(pick(req.body, AUTOSAVE_FIELDS));
+  if (post.postType === 'mindmap' && req.body.mindmap) {
+    await mindmapService.setTree(post, req.body.mindmap.nodes);
+  }
+  await post.saveWithFreeSlug();
+
+  res.status(200).json({
+    status: 'success',
+    data: { slug: post.slug, savedAt: post.updatedAt }
+  });
+});
+
+// @desc    Soft-delete a post
+// @route   DELETE /api/v1/posts/:slug
+// @access  Private (author, moderator, admin)
+exports.deletePost = asyncHandler(async (req, res) => {
+  const post = await Post.findOne({ slug: req.params.slug, status: { $ne: 'deleted' } });
+
+  if (!post) {
+    throw new ErrorResponse('Post not found', 404);
+  }
+
+  if (!canDeletePost(req.user, post)) {
+    throw new ErrorResponse('Not authorized to delete this post', 403);
+  }
+
+  post.status = 'deleted';
+  await post.save();
+  await gamificationService.syncPostPoints(post);
+
+  res.status(200).json({
+    status: 'success',
+    data: null
+  });
+});
+
+// @desc    Add a moderation note to a post
+// @route   POST /api/v1/posts/:slug/moderation-notes
+// @access  Private (moderator, admin)
+exports.addModerationNote = asyncHandler(async (req, res) => {
+  const post = await Post.findOne({ slug: req.params.slug });
+
+  if (!post) {
+    throw new ErrorResponse('Post not found', 404);
+  }
+
+  const note = {
+    moderatorId: req.user._id,
+    note: req.body.note,
+    action: req.body.action || 'note',
+    createdAt: new Date()
+  };
+
+  await Post.updateOne({ _id: post._id }, { $push: { moderationNotes: note } });
+
+  res.status(201).json({
+    status: 'success',
+    data: { note }
+  });
+});
+
+// @desc    Flag a post for the moderators
+// @route   POST /api/v1/posts/:slug/flag
+// @access  Private
+exports.flagPost = asyncHandler(async (req, res) => {
+  const post = await Post.findOne({ slug: req.params.slug, status: 'published' }).select('author');
+
+  if (!post) {
+    throw new ErrorResponse('Post not found', 404);
+  }
+
+  await moderationService.flagContent('Post', post, req.user, req.body);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Thanks, the moderators will review this post',
+    data: null
+  });
+});
+
+// Shared by like/unlike/save/unsave; repeated calls leave the state unchanged
+const setReaction = (type, active) => asyncHandler(async (req, res) => {
+  const post = await Post.findOne({ slug: req.params.slug, status: 'published' })
+    .select('author slug title subject likesCount savesCount');
+
+  if (!post) {
+    throw new ErrorResponse('Post not found', 404);
+  }
+
+  const { changed, likesCount, savesCount } = await engagementService.setReaction(post, req.user, type, active);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      postId: post._id,
+      [type === 'like' ? 'liked' : 'saved']: active,
+      changed,
+      likesCount,
+      savesCount
+    }
+  });
+});
+
+// @desc    Like a post
+// @route   POST /api/v1/posts/:slug/like
+// @access  Private
+exports.likePost = setReaction('like', true);
+
+// @desc    Remove a like from a post
+// @route   DELETE /api/v1/posts/:slug/like
+// @access  Private
+exports.unlikePost = setReaction('like', false);
+
+// @desc    Save a post
+// @route   POST /api/v1/posts/:slug/save
+// @access  Private
+exports.savePost = setReaction('save', true);
+
+// @desc    Remove a post from saved
+// @route   DELETE /api/v1/posts/:slug/save
+// @access  Private
+exports.unsavePost = setReaction('save', false);
+
+// @desc    Get the rating distribution and the caller's own rating
+// @route   GET /api/v1/posts/:slug/rating
+// @access  Public
+exports.getRating = asyncHandler(async (req, res) => {
+  const rating = await ratingService.getRatingSummary(req.params.slug, req.user && req.user._id);
+
+  res.status(200).json({
+    status: 'success',
+    data: { rating }
+  });
+});
+
+// @desc    Rate a post, or change an existing rating
+// @route   PUT /api/v1/posts/:slug/rating
+// @access  Private
+exports.ratePost = asyncHandler(async (req, res) => {
+  const rating = await ratingService.ratePost(req.params.slug, req.user._id, req.body.value);
+
+  res.status(200).json({
+    status: 'success',
+    data: { rating }
+  });
+});
+
+// @desc    Remove the caller's rating
+// @route   DELETE /api/v1/posts/:slug/rating
+// @access  Private
+exports.removeRating = asyncHandler(async (req, res) => {
+  const rating = await ratingService.removeRating(req.params.slug, req.user._id);
+
+  res.status(200).json({
+    status: 'success',
+    data: { rating }
+  });
+});
+
+// Mindmaps
+
+const findMindmap = async (slug, user) => {
+  const post = await findVisiblePost(slug, user);
+
+  if (post.postType !== 'mindmap') {
+    throw new ErrorResponse('This post is not a mindmap', 400);
+  }
+
+  return post;
+};
+
+const findEditableMindmap = async (slug, user) => {
+  const post = await Post.findOne({ slug, status: { $ne: 'deleted' }, postType: 'mindmap' });
+
+  if (!post) {
+    throw new ErrorResponse('Mindmap not found', 404);
+  }
+
+  if (!canEditPost(user, post)) {
+    throw new ErrorResponse('Not authorized to edit this mindmap', 403);
+  }
+
+  assertNotUnderReview(user, post);
+
+  return post;
+};
+
+// Mindmap posts from before mindmap trees have none until
+// scripts/migrate-mindmaps.js has run
+const mindmapOf = (post) => post.mindmap || { nodes: [], revision: 0, image: null };
+
+// Screen, save and re-render a mindmap after one of its nodes changed
+const saveMindmap = async (user, post) => {
+  const held = await screenPost(user, post, false);
+  await saveEditedPost(user, post, held);
+  return held;
+};
+
+const sendMindmap = (res, post, held, statusCode = 200, extra = {}) =>
+  res.status(statusCode).json({
+    status: 'success',
+    ...(held && { message: HELD_MESSAGE }),
+    data: {
+      ...extra,
+      tree: mindmapService.getTree(post),
+      revision: mindmapOf(post).revision
+    }
+  });
+
+// @desc    Get the tree of a mindmap post
+// @route   GET /api/v1/posts/:slug/mindmap
+// @access  Public (drafts and hidden posts: author, moderators, admins)
+exports.getMindmap = asyncHandler(async (req, res) => {
+  const post = await findMindmap(req.params.slug, req.user);
+  const { revision, image } = mindmapOf(post);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      tree: mindmapService.getTree(post),
+      revision,
+      image: image && image.revision === revision
+        ? { url: image.url, thumbnail: image.thumbnail }
+        : null
+    }
+  });
+});
+
+// @desc    Replace the whole tree of a mindmap
+// @route   PUT /api/v1/posts/:slug/mindmap
+// @access  Private (author, moderator, admin)
+exports.replaceMindmap = asyncHandler(async (req, res) => {
+  const post = await findEditableMindmap(req.params.slug, req.user);
+  await mindmapService.setTree(post, req.body.nodes);
+  const held = await saveMindmap(req.user, post);
+
+  sendMindmap(res, post, held);
+});
+
+// @desc    Add a node to a mindmap
+// @route   POST /api/v1/posts/:slug/mindmap/nodes
+// @access  Private (author, moderator, admin)
+exports.addMindmapNode = asyncHandler(async (req, res) => {
+  const post = await findEditableMindmap(req.params.slug, req.user);
+  const node = await mindmapService.addNode(post, req.body);
+  const held = await saveMindmap(req.user, post);
+
+  sendMindmap(res, post, held, 201, { node });
+});
+
+// @desc    Edit, recolor, relink or move a mindmap node
+// @route   PATCH /api/v1/posts/:slug/mindmap/nodes/:key
+// @access  Private (author, moderator, admin)
+exports.updateMindmapNode = asyncHandler(async (req, res) => {
+  const post = await findEditableMindmap(req.params.slug, req.user);
+  const node = await mindmapService.updateNode(post, req.params.key, req.body);
+  const held = await saveMindmap(req.user, post);
+
+  sendMindmap(res, post, held, 200, { node });
+});
+
+// @desc    Remove a mindmap node and its descendants
+// @route   DELETE /api/v1/posts/:slug/mindmap/nodes/:key
+// @access  Private (author, moderator, admin)
+exports.removeMindmapNode = asyncHandler(async (req, res) => {
+  const post = await findEditableMindmap(req.params.slug, req.user);
+  const removed = await mindmapService.removeNode(post, req.params.key);
+  const held = await saveMindmap(req.user, post);
+
+  sendMindmap(res, post, held, 200, { removed });
+});
+
+// @desc    Download a mindmap as JSON, OPML, SVG or PNG
+// @route   GET /api/v1/posts/:slug/mindmap/export?format=json|opml|svg|png
+// @access  Public (drafts and hidden posts: author, moderators, admins)
+exports.exportMindmap = asyncHandler(async (req, res) => {
+  const post = await findMindmap(req.params.slug, req.user);
+
+  if (!mindmapOf(post).nodes.length) {
+    throw new ErrorResponse('This mindmap has no tree to export yet', 404);
+  }
+
+  const { body, contentType, filename } = await mindmapService.exportMindmap(post, req.query.format || 'json');
+
+  res.attachment(filename);
+  res.set('Content-Type', contentType);
+  res.status(200).send(body);
+});
+
+// Revisions
+
+const findRevisablePost = async (slug, user) => {
+  const post = await Post.findOne({ slug, status: { $ne: 'deleted' } });
+
+  if (!post) {
+    throw new ErrorResponse('Post not found', 404);
+  }
+
+  if (!canEditPost(user, post)) {
+    throw new ErrorResponse('Not authorized to edit this post', 403);
+  }
+
+  return post;
+};
+
+const EDITOR_FIELDS = 'displayName username avatar';
+
+// Anonymous posts keep their author hidden in the history too
+const serializeRevision = (revision, post) => {
+  const data = revision.toJSON();
+  data.byAuthor = post.author.equals(revision.populated('editor') || revision.editor);
+  if (data.byAuthor && post.isAnonymous) data.editor = null;
+  return data;
+};
+
+// @desc    Revision history of a post, newest first
+// @route   GET /api/v1/posts/:slug/revisions
+// @access  Private (author, moderator, admin)
+exports.getRevisions = asyncHandler(async (req, res) => {
+  const post = await findRevisablePost(req.params.slug, req.user);
+  const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+  const filter = { post: post._id };
+  const query = req.query.cursor
+    ? { $and: [filter, afterCursor('number', req.query.cursor)] }
+    : filter;
+
+  const revisions = await PostRevision.find(query)
+    .sort({ number: -1, _id: -1 })
+    .limit(limit + 1)
+    .select('number editor reason restoredFrom changedFields title createdAt')
+    .populate('editor', EDITOR_FIELDS);
+
+  const hasMore = revisions.length > limit;
+  if (hasMore) revisions.pop();
+
+  res.status(200).json({
+    status: 'success',
+    results: revisions.length,
+    data: { revisions: revisions.map(revision => serializeRevision(revision, post)) },
+    pagination: {
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(revisions[revisions.length - 1], 'number') : null
+    }
+  });
+});
+
+// @desc    One revision with its diff against the previous one (or ?against=<number>)
+// @route   GET /api/v1/posts/:slug/revisions/:number
+// @access  Private (author, moderator, admin)
+exports.getRevision = asyncHandler(async (req, res) => {
+  const post = await findRevisablePost(req.params.slug, req.user);
+  const { revision, against, diff } = await revisionService.getRevisionDiff(
+    post._id,
+    req.params.number,
+    req.query.against
+  );
+  await revision.populate('editor', EDITOR_FIELDS);
+
+  res.status(200).json({
+    status: 'success',
+    data: { revision: serializeRevision(revision, post), against, diff }
+  });
+});
+
+// @desc    Bring back the content of an earlier revision, as a new revision
+// @route   POST /api/v1/posts/:slug/revisions/:number/restore
+// @access  Private (author, moderator, admin)
+exports.restoreRevision = asyncHandler(async (req, res) => {
+  const post = await findRevisablePost(req.params.slug, req.user);
+  // The history stays readable, but a post under review keeps its content
+  assertNotUnderReview(req.user, post);
+  const { number } = await revisionService.applyRevision(post, req.params.number);
+
+  const held = await screenPost(req.user, post, false);
+  const revision = await saveEditedPost(req.user, post, held, {
+    reason: req.body.reason || `Restored revision ${number}`,
+    restoredFrom: number
+  });
+
+  res.status(200).json({
+    status: 'success',
+    ...(held && { message: HELD_MESSAGE }),
+    data: { post, revision: revision && revision.number }
+  });
+});
@@ -0,0 +1,42 @@
+const asyncHandler = require('../utils/asyncHandler');
+const searchService = require('../services/search.service');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+const getPaging = (query) => ({
+  page: Math.max(parseInt(query.page, 10) || 1, 1),
+  limit: Math.min(parseInt(query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT)
+});
+
+// @desc    Search posts (default) or users
+// @route   GET /api/v1/search?q=&type=posts|users
+// @access  Public
+exports.search = asyncHandler(async (req, res) => {
+  const { q, type = 'posts' } = req.query;
+  const { page, limit } = getPaging(req.query);
+
+  if (type === 'users') {
+    const { users, total } = await searchService.searchUsers(q, { page, limit });
+    return res.status(200).json({
+      status: 'success',
+      results: users.length,
+      data: { users },
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  }
+
+  const { subject, grade, postType, category } = req.query;
+  const { posts, total, facets } = await searchService.searchPosts(
+    q,
+    { subject, grade, postType, category },
+    { page, limit }
+  );
+
+  res.status(200).json({
+    status: 'success',
+    results: posts.length,
+    data: { posts, facets },
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+  });
+});
@@ -0,0 +1,50 @@
+const Upload = require('../models/Upload');
+const asyncHandler = require('../utils/asyncHandler');
+const uploadService = require('../services/upload.service');
+
+// @desc    Upload a file to attach to a post
+// @route   POST /api/v1/uploads
+// @access  Private
+exports.uploadFile = asyncHandler(async (req, res) => {
+  const upload = await uploadService.uploadFile(req.user, req.file);
+
+  res.status(201).json({
+    status: 'success',
+    data: { upload }
+  });
+});
+
+// @desc    List my uploads and quota usage
+// @route   GET /api/v1/uploads
+// @access  Private
+exports.getUploads = asyncHandler(async (req, res) => {
+  const [uploads, usage] = await Promise.all([
+    Upload.find({ user: req.user._id }).sort({ createdAt: -1 }).limit(100),
+    Upload.getUsage(req.user._id)
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: uploads.length,
+    data: {
+      uploads,
+      usage: {
+        ...usage,
+        quota: uploadService.getUserQuota(),
+        maxFileSize: uploadService.getMaxFileSize()
+      }
+    }
+  });
+});
+
+// @desc    Delete an upload that isn't attached to a post
+// @route   DELETE /api/v1/uploads/:id
+// @access  Private
+exports.deleteUpload = asyncHandler(async (req, res) => {
+  await uploadService.deleteUpload(req.user._id, req.params.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: null
+  });
+});
@@ -0,0 +1,361 @@
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const PointsTransaction = require('../models/PointsTransaction');
+const ErrorResponse = require('../utils/ErrorResponse');
+const asyncHandler = require('../utils/asyncHandler');
+const { hasPermission } = require('../config/permissions');
+const { encodeCursor, afterCursor } = require('../utils/cursor');
+const gamificationService = require('../services/gamification.service');
+const privacyService = require('../services/privacy.service');
+const statsReconcileJob = require('../jobs/statsReconcile.job');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const ACTIVITY_LIMIT = 20;
+
+// Shown whatever the privacy settings, so the user can still be found and followed
+const LIMITED_FIELDS = ['_id', 'displayName', 'username', 'avatar', 'isAnonymous'];
+
+const PROFILE_FIELDS = [
+  ...LIMITED_FIELDS, 'bio', 'subjects', 'grade', 'role', 'isVerified',
+  'points', 'rank', 'badges', 'stats', 'createdAt'
+];
+
+const PRIVACY_FIELDS = ['profileVisibility', 'showEmail', 'showActivity'];
+
+const pick = (source, fields) =>
+  fields.reduce((result, field) => {
+    if (source[field] !== undefined) result[field] = source[field];
+    return result;
+  }, {});
+
+// Load an active user and work out what the caller may see of them
+const loadProfile = async (req) => {
+  const user = await User.findOne({ _id: req.params.id, isActive: true });
+
+  if (!user) {
+    throw new ErrorResponse('User not found', 404);
+  }
+
+  const access = await privacyService.getProfileAccess(req.user, user);
+  return { user, access };
+};
+
+// Posts, comments and activity need both the profile and showActivity
+const assertActivityVisible = (access) => {
+  if (!access.profile) {
+    throw new ErrorResponse('This profile is private', 403);
+  }
+  if (!access.activity) {
+    throw new ErrorResponse('This user keeps their activity private', 403);
+  }
+};
+
+const serializeProfile = (user, access) => {
+  const data = user.toJSON();
+
+  if (!access.profile) {
+    return { ...pick(data, LIMITED_FIELDS), limited: true };
+  }
+
+  const profile = pick(data, PROFILE_FIELDS);
+  if (access.activity) {
+    profile.lastActive = data.lastActive;
+  } else {
+    profile.stats = { ...profile.stats };
+    delete profile.stats.streakDays;
+  }
+  if (access.email) profile.email = data.email;
+
+  return { ...profile, limited: false };
+};
+
+// Anonymous content only shows up on its author's own profile
+const authoredBy = (req, user) => ({
+  author: user._id,
+  ...(!(req.user && req.user._id.equals(user._id)) && { isAnonymous: false })
+});
+
+// @desc    Change a user's role
+// @route   PUT /api/v1/users/:id/role
+// @access  Private (admin)
+exports.updateUserRole = asyncHandler(async (req, res) => {
+  if (req.user._id.equals(req.params.id)) {
+    throw new ErrorResponse('You cannot change your own role', 400);
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    throw new ErrorResponse('User not found', 404);
+  }
+
+  // Saving (not updateOne) so the model revokes the user's existing sessions
+  user.role = req.body.role;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    status: 'success',
+    data: { user }
+  });
+});
+
+// @desc    Activate or deactivate a user account
+// @route   PUT /api/v1/users/:id/status
+// @access  Private (admin)
+exports.updateUserStatus = asyncHandler(async (req, res) => {
+  if (req.user._id.equals(req.params.id)) {
+    throw new ErrorResponse('You cannot deactivate your own account', 400);
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    throw new ErrorResponse('User not found', 404);
+  }
+
+  user.isActive = req.body.isActive;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    status: 'success',
+    data: { user }
+  });
+});
+
+// @desc    Points history of a user, newest first
+// @route   GET /api/v1/users/:id/points
+// @access  Private (the user, admin)
+exports.getPointsHistory = asyncHandler(async (req, res) => {
+  if (!req.user._id.equals(req.params.id) && !hasPermission(req.user, 'points:manage')) {
+    throw new ErrorResponse('Not authorized to view these points', 403);
+  }
+
+  const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+  const filter = { user: req.params.id };
+  const query = req.query.cursor
+    ? { $and: [filter, afterCursor('createdAt', req.query.cursor)] }
+    : filter;
+
+  const transactions = await PointsTransaction.find(query)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit + 1);
+
+  const hasMore = transactions.length > limit;
+  if (hasMore) transactions.pop();
+
+  res.status(200).json({
+    status: 'success',
+    results: transactions.length,
+    data: { transactions },
+    pagination: {
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(transactions[transactions.length - 1], 'createdAt') : null
+    }
+  });
+});
+
+// @desc    Recompute a user's points from the ledger
+// @route   POST /api/v1/users/:id/points/recompute
+// @access  Private (admin)
+exports.recomputePoints = asyncHandler(async (req, res) => {
+  const result = await gamificationService.recomputePoints(req.params.id);
+
+  if (!result) {
+    throw new ErrorResponse('User not found', 404);
+  }
+
+  // Badges missed while the total was off are handed out now
+  const badges = await gamificationService.checkBadges(req.params.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: { ...result, badgesAwarded: badges.map(badge => badge.key) }
+  });
+});
+
+// @desc    Add or remove points by hand
+// @route   POST /api/v1/users/:id/points/adjust
+// @access  Private (admin)
+exports.adjustPoints = asyncHandler(async (req, res) => {
+  const exists = await User.exists({ _id: req.params.id });
+
+  if (!exists) {
+    throw new ErrorResponse('User not found', 404);
+  }
+
+  const transaction = await gamificationService.adjustPoints(
+    req.params.id,
+    req.body.amount,
+    req.body.note,
+    req.user._id
+  );
+
+  res.status(201).json({
+    status: 'success',
+    data: { transaction }
+  });
+});
+
+// @desc    Start recomputing every user's stats from posts, comments and
+//          reactions in the background; with fix=true the stored stats are
+//          corrected. Only one run at a time.
+// @route   POST /api/v1/users/stats/reconcile
+// @access  Private (admin)
+exports.reconcileStats = asyncHandler(async (req, res) => {
+  const { run, started } = statsReconcileJob.trigger({ fix: Boolean(req.body.fix) });
+
+  res.status(202).json({
+    status: 'success',
+    message: started ? 'Stats reconciliation started' : 'A stats reconciliation is already running',
+    data: { run }
+  });
+});
+
+// @desc    The stats reconciliation in progress or the last one, with its drift report
+// @route   GET /api/v1/users/stats/reconcile
+// @access  Private (admin)
+exports.getStatsReconciliation = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: { run: statsReconcileJob.getLastRun() }
+  });
+});
+
+// @desc    Public profile of a user, limited by their privacy settings
+// @route   GET /api/v1/users/:id
+// @access  Public
+exports.getProfile = asyncHandler(async (req, res) => {
+  const { user, access } = await loadProfile(req);
+
+  res.status(200).json({
+    status: 'success',
+    data: { user: serializeProfile(user, access) }
+  });
+});
+
+// @desc    Published posts of a user, newest first
+// @route   GET /api/v1/users/:id/posts
+// @access  Public (subject to the user's privacy settings)
+exports.getUserPosts = asyncHandler(async (req, res) => {
+  const { user, access } = await loadProfile(req);
+  assertActivityVisible(access);
+
+  const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+  const filter = { ...authoredBy(req, user), status: 'published' };
+  const query = req.query.cursor
+    ? { $and: [filter, afterCursor('publishedAt', req.query.cursor)] }
+    : filter;
+
+  const posts = await Post.find(query)
+    .sort({ publishedAt: -1, _id: -1 })
+    .limit(limit + 1)
+    .select('-moderationNotes')
+    .populate('commentsCount');
+
+  const hasMore = posts.length > limit;
+  if (hasMore) posts.pop();
+
+  res.status(200).json({
+    status: 'success',
+    results: posts.length,
+    data: { posts },
+    pagination: {
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(posts[posts.length - 1], 'publishedAt') : null
+    }
+  });
+});
+
+// @desc    Comments of a user on published posts, newest first
+// @route   GET /api/v1/users/:id/comments
+// @access  Public (subject to the user's privacy settings)
+exports.getUserComments = asyncHandler(async (req, res) => {
+  const { user, access } = await loadProfile(req);
+  assertActivityVisible(access);
+
+  const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+  const filter = { ...authoredBy(req, user), status: 'active' };
+  const query = req.query.cursor
+    ? { $and: [filter, afterCursor('createdAt', req.query.cursor)] }
+    : filter;
+
+  const comments = await Comment.find(query)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit + 1)
+    .select('-editHistory')
+    .populate('post', 'title slug status');
+
+  const hasMore = comments.length > limit;
+  if (hasMore) comments.pop();
+
+  // The cursor follows the raw page, so dropping comments on hidden posts can't skip any
+  const nextCursor = hasMore ? encodeCursor(comments[comments.length - 1], 'createdAt') : null;
+  const visible = comments.filter(comment => comment.post && comment.post.status === 'published');
+
+  res.status(200).json({
+    status: 'success',
+    results: visible.length,
+    data: { comments: visible },
+    pagination: { hasMore, nextCursor }
+  });
+});
+
+// @desc    Recent activity of a user: posts, comments and badges
+// @route   GET /api/v1/users/:id/activity
+// @access  Public (subject to the user's privacy settings)
+exports.getUserActivity = asyncHandler(async (req, res) => {
+  const { user, access } = await loadProfile(req);
+  assertActivityVisible(access);
+
+  const filter = authoredBy(req, user);
+  const [posts, comments] = await Promise.all([
+    Post.find({ ...filter, status: 'published' })
+      .sort({ publishedAt: -1 })
+      .limit(ACTIVITY_LIMIT)
+      .select('title slug postType subject isAnonymous publishedAt'),
+    Comment.find({ ...filter, status: 'active' })
+      .sort({ createdAt: -1 })
+      .limit(ACTIVITY_LIMIT)
+      .select('content post isAnonymous isAcceptedAnswer createdAt')
+      .populate('post', 'title slug status')
+  ]);
+
+  const activity = [
+    ...posts.map(post => ({ type: 'post', at: post.publishedAt, post })),
+    ...comments
+      .filter(comment => comment.post && comment.post.status === 'published')
+      .map(comment => ({ type: 'comment', at: comment.createdAt, comment })),
+    ...user.badges.map(badge => ({ type: 'badge', at: badge.earnedAt, badge }))
+  ]
+    .sort((a, b) => b.at - a.at)
+    .slice(0, ACTIVITY_LIMIT);
+
+  res.status(200).json({
+    status: 'success',
+    results: activity.length,
+    data: { activity }
+  });
+});
+
+// @desc    Update my privacy settings
+// @route   PUT /api/v1/users/me/privacy
+// @access  Private
+exports.updatePrivacy = asyncHandler(async (req, res) => {
+  const changes = pick(req.body, PRIVACY_FIELDS);
+  const update = Object.keys(changes).reduce((result, key) => {
+    result[`privacy.${key}`] = changes[key];
+    return result;
+  }, {});
+
+  const user = await User.findByIdAndUpdate(req.user._id, { $set: update }, {
+    new: true,
+    runValidators: true
+  }).select('privacy');
+
+  res.status(200).json({
+    status: 'success',
+    data: { privacy: user.privacy }
+  });
+});
@@ -0,0 +1,20 @@
+const leaderboardService = require('../services/leaderboard.service');
+
+const INTERVAL_MS = 5 * 60 * 1000; // every 5 minutes
+
+// Keep the cached leaderboards fresh so requests never wait on the aggregation
+const start = () => {
+  const run = async () => {
+    try {
+      await leaderboardService.refreshStaleBoards();
+    } catch (error) {
+      console.error('🏆 Leaderboard refresh job failed:', error.message);
+    }
+  };
+
+  const timer = setInterval(run, INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { start };
@@ -0,0 +1,27 @@
+const notificationService = require('../services/notification.service');
+
+const CHECK_INTERVAL_MS = 60 * 60 * 1000; // hourly
+
+// Checks every hour and sends digests once the configured hour (server time,
+// NOTIFICATION_DIGEST_HOUR, default 18) is reached. Users already emailed
+// that day are skipped by the service, so extra runs are harmless.
+const start = () => {
+  const digestHour = parseInt(process.env.NOTIFICATION_DIGEST_HOUR, 10);
+  const hour = Number.isInteger(digestHour) ? digestHour : 18;
+
+  const run = async () => {
+    if (new Date().getHours() !== hour) return;
+    try {
+      const sent = await notificationService.sendDailyDigests();
+      if (sent) console.log(`📧 Sent ${sent} notification digests`);
+    } catch (error) {
+      console.error('📧 Notification digest job failed:', error.message);
+    }
+  };
+
+  const timer = setInterval(run, CHECK_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { start };
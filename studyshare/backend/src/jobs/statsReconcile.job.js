@@ -0,0 +1,41 @@
+const statsService = require('../services/stats.service');
+
+const INTERVAL_MS = 24 * 60 * 60 * 1000; // daily
+
+// The run in progress, or the last one to finish
+let lastRun = null;
+
+// Reconcile in the background unless a run is already going. Returns that run
+// (its report or error is filled in when it finishes) and whether it's new.
+const trigger = ({ fix = true } = {}) => {
+  if (lastRun && !lastRun.finishedAt) return { run: lastRun, started: false };
+
+  const run = { fix, startedAt: new Date(), finishedAt: null, report: null, error: null };
+  lastRun = run;
+
+  statsService.reconcileStats({ fix })
+    .then((report) => {
+      run.report = report;
+      if (fix && report.drifted) console.log(`📊 Fixed stats of ${report.drifted} of ${report.checked} users`);
+    })
+    .catch((error) => {
+      run.error = error.message;
+      console.error('📊 Stats reconciliation job failed:', error.message);
+    })
+    .finally(() => {
+      run.finishedAt = new Date();
+    });
+
+  return { run, started: true };
+};
+
+const getLastRun = () => lastRun;
+
+// Correct whatever drift the stats picked up (races, failed writes, manual edits)
+const start = () => {
+  const timer = setInterval(() => trigger({ fix: true }), INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { start, trigger, getLastRun };
@@ -0,0 +1,21 @@
+const uploadService = require('../services/upload.service');
+
+const INTERVAL_MS = 60 * 60 * 1000; // hourly
+
+// Remove uploads that were never attached to a post
+const start = () => {
+  const run = async () => {
+    try {
+      const removed = await uploadService.cleanupOrphans();
+      if (removed) console.log(`🗑️ Removed ${removed} orphaned uploads`);
+    } catch (error) {
+      console.error('🗑️ Upload cleanup job failed:', error.message);
+    }
+  };
+
+  const timer = setInterval(run, INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { start };
@@ -0,0 +1,117 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const ErrorResponse = require('../utils/ErrorResponse');
+const { hasPermission } = require('../config/permissions');
+const asyncHandler = require('../utils/asyncHandler');
+const gamificationService = require('../services/gamification.service');
+
+const getToken = (req) => {
+  const header = req.headers.authorization;
+  if (header && header.startsWith('Bearer ')) {
+    return header.split(' ')[1];
+  }
+  return null;
+};
+
+const resolveUser = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw new ErrorResponse('Not authorized, invalid or expired token', 401);
+  }
+
+  const user = await User.findById(decoded.id);
+  if (!user || !user.isActive) {
+    throw new ErrorResponse('Not authorized, account not found or disabled', 401);
+  }
+
+  // Tokens issued before a role change or deactivation are dead
+  if (decoded.tv !== user.tokenVersion) {
+    throw new ErrorResponse('Not authorized, token has been revoked', 401);
+  }
+
+  const sessionActive = decoded.sid && await Session.exists({
+    _id: decoded.sid,
+    user: user._id,
+    revokedAt: null
+  });
+  if (!sessionActive) {
+    throw new ErrorResponse('Not authorized, session has ended', 401);
+  }
+
+  return { user, sessionId: decoded.sid };
+};
+
+// Activity feeds lastActive and the daily streak; it must never block the request
+const recordActivity = (user) => {
+  gamificationService.recordActivity(user).catch((error) => {
+    console.error('🔥 Activity tracking failed:', error.message);
+  });
+};
+
+// Require a valid access token
+const protect = asyncHandler(async (req, res, next) => {
+  const token = getToken(req);
+  if (!token) {
+    throw new ErrorResponse('Not authorized, no token provided', 401);
+  }
+
+  const { user, sessionId } = await resolveUser(token);
+  req.user = user;
+  req.sessionId = sessionId;
+  recordActivity(user);
+  next();
+});
+
+// Attach req.user when a valid token is present, continue anonymously otherwise
+const optionalAuth = asyncHandler(async (req, res, next) => {
+  const token = getToken(req);
+  if (token) {
+    try {
+      const { user, sessionId } = await resolveUser(token);
+      req.user = user;
+      req.sessionId = sessionId;
+      recordActivity(user);
+    } catch (error) {
+      req.user = null;
+    }
+  }
+  next();
+});
+
+// Restrict a route to roles holding a permission from config/permissions; use after protect
+const requirePermission = (permission) => (req, res, next) => {
+  if (!hasPermission(req.user, permission)) {
+    return next(new ErrorResponse('You do not have permission to perform this action', 403));
+  }
+  next();
+};
+
+// Socket.IO handshake: same token checks as protect, token sent as `auth: { token }`
+const socketProtect = async (socket, next) => {
+  const { auth = {}, headers = {} } = socket.handshake;
+  const header = headers.authorization;
+  const token = auth.token || (header && header.startsWith('Bearer ') ? header.split(' ')[1] : null);
+
+  if (!token) {
+    return next(new ErrorResponse('Not authorized, no token provided', 401));
+  }
+
+  try {
+    const { user, sessionId } = await resolveUser(token);
+    socket.data.user = user;
+    socket.data.sessionId = sessionId;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  protect,
+  optionalAuth,
+  requirePermission,
+  socketProtect
+};
@@ -0,0 +1,15 @@
+const { validationResult } = require('express-validator');
+
+// Reject the request with 400 if any express-validator chain failed
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return next();
+
+  res.status(400).json({
+    status: 'error',
+    message: 'Validation failed',
+    errors: errors.array().map(({ param, msg }) => ({ field: param, message: msg }))
+  });
+};
+
+module.exports = validate;
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// A named folder of saved posts (e.g. "Physics final"). Every post in a
+// collection is also saved by the owner (see services/collection.service), so
+// Post.savesCount counts each user once however many collections hold the post.
+const collectionSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  
+  name: {
+    type: String,
+    required: [true, 'Collection name is required'],
+    trim: true,
+    maxlength: [80, 'Collection name cannot exceed 80 characters']
+  },
+  
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: ''
+  },
+  
+  // In the owner's order
+  items: [{
+    _id: false,
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true
+    },
+    // Private to the owner, even on shared collections
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+      default: ''
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
+  // Set while the collection is shared as a read-only link
+  shareToken: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  
+  sharedAt: Date
+
+}, {
+  timestamps: true
+});
+
+// Indexes
+collectionSchema.index({ owner: 1, name: 1 }, { unique: true });
+collectionSchema.index({ owner: 1, 'items.post': 1 });
+
+module.exports = mongoose.model('Collection', collectionSchema);
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const realtime = require('../sockets/realtime');
+
+const MAX_DEPTH = 5;
 
 const commentSchema = new mongoose.Schema({
   // Core Information
@@ -46,7 +49,7 @@ const commentSchema = new mongoose.Schema({
   depth: {
     type: Number,
     default: 0,
-    max: 5
+    max: MAX_DEPTH
   },
   
   // Engagement
@@ -62,28 +65,33 @@ const commentSchema = new mongoose.Schema({
     default: 'active'
   },
   
+  // Whether the comment is included in its author's stats (see syncAuthorStats)
+  countedInStats: {
+    type: Boolean,
+    default: false,
+    select: false
+  },
+  
   // For answer acceptance (if comment answers a question)
   isAcceptedAnswer: {
     type: Boolean,
     default: false
   },
   
-  // Moderation
-  flaggedBy: [{
-    userId: mongoose.Schema.Types.ObjectId,
-    reason: String,
-    flaggedAt: Date
-  }],
-  
   // Metadata
   edited: {
     type: Boolean,
     default: false
   },
   
+  // One entry per edit, holding the content that edit replaced
   editHistory: [{
     content: String,
     editedAt: Date,
+    editedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
     reason: String
   }],
   
@@ -101,7 +109,18 @@ const commentSchema = new mongoose.Schema({
 
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    // Anonymous comments never reveal who wrote them; the stats flag is internal
+    transform: (doc, ret) => {
+      delete ret.countedInStats;
+      if (ret.isAnonymous) {
+        delete ret.author;
+        delete ret.authorAvatar;
+      }
+      return ret;
+    }
+  },
   toObject: { virtuals: true }
 });
 
@@ -133,20 +152,46 @@ commentSchema.index({ 'likes': 1 });
 commentSchema.index({ isAcceptedAnswer: 1 });
 commentSchema.index({ status: 1 });
 
+// The content as loaded, for the edit history
+commentSchema.post('init', function() {
+  this.$locals.loadedContent = this.content;
+});
+
 // Pre-save middleware
-commentSchema.pre('save', function(next) {
-  // Calculate depth if parent comment exists
-  if (this.parentComment) {
-    this.depth = 1; // Will be updated in post-save
+commentSchema.pre('save', async function(next) {
+  // Remembered for the post-save hook, where isNew is already false
+  this.$locals.wasNew = this.isNew;
+  this.$locals.statusChanged = this.isNew || this.isModified('status');
+  
+  // Calculate depth from the parent; replies past MAX_DEPTH attach to the deepest allowed ancestor
+  if (this.isNew && this.parentComment) {
+    try {
+      let parent = await this.constructor.findById(this.parentComment).select('depth parentComment post');
+      while (parent && parent.depth >= MAX_DEPTH) {
+        parent = await this.constructor.findById(parent.parentComment).select('depth parentComment post');
+      }
+      
+      if (!parent || !parent.post.equals(this.post)) {
+        const error = new Error('Parent comment not found on this post');
+        error.statusCode = 400;
+        return next(error);
+      }
+      
+      this.parentComment = parent._id;
+      this.depth = parent.depth + 1;
+    } catch (error) {
+      return next(error);
+    }
   }
   
-  // Track edit history
+  // Track edit history. Whoever saves sets $locals.editedBy and, optionally, $locals.editReason.
   if (this.isModified('content') && !this.isNew) {
     this.edited = true;
     this.editHistory.push({
-      content: this._previousContent || this.content,
+      content: this.$locals.loadedContent,
       editedAt: new Date(),
-      reason: 'User edit'
+      editedBy: this.$locals.editedBy,
+      reason: this.$locals.editReason || 'User edit'
     });
   }
   
@@ -155,6 +200,8 @@ commentSchema.pre('save', function(next) {
 
 // Post-save middleware
 commentSchema.post('save', async function(doc) {
+  doc.$locals.loadedContent = doc.content;
+  
   // Update parent post's last activity
   await mongoose.model('Post').updateOne(
     { _id: doc.post },
@@ -162,11 +209,39 @@ commentSchema.post('save', async function(doc) {
   );
   
   // Update user stats
-  if (doc.status === 'active') {
-    await mongoose.model('User').updateOne(
-      { _id: doc.author },
-      { $inc: { 'stats.commentsCount': 1 } }
-    );
+  if (doc.$locals.statusChanged) {
+    await doc.constructor.syncAuthorStats(doc);
   }
   
-  // Update
+  // Push new comments to everyone viewing the post
+  if (doc.$locals.wasNew && doc.status === 'active') {
+    realtime.emitToPost(doc.post, 'comment_added', doc.toJSON());
+  }
+});
+
+// Static methods
+// Active comments count towards their author's commentsCount, accepted answers
+// also towards helpfullnessScore. Same flag flip as Post.syncAuthorStats.
+commentSchema.statics.syncAuthorStats = async function(comment) {
+  const counted = comment.status === 'active';
+  const flipped = await this.findOneAndUpdate(
+    { _id: comment._id, countedInStats: { $ne: counted } },
+    { countedInStats: counted },
+    { projection: { author: 1, isAcceptedAnswer: 1 } }
+  );
+  if (!flipped) return false;
+  
+  const sign = counted ? 1 : -1;
+  await mongoose.model('User').updateOne(
+    { _id: flipped.author },
+    {
+      $inc: {
+        'stats.commentsCount': sign,
+        ...(flipped.isAcceptedAnswer && { 'stats.helpfullnessScore': sign })
+      }
+    }
+  );
+  return true;
+};
+
+module.exports = mongoose.model('Comment', commentSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+const SNAPSHOT_TTL_SECONDS = 60 * 60;
+
+// The ordered feed built for a user on their first page. Later pages read
+// from it, so the feed doesn't reshuffle while they scroll.
+const feedSnapshotSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  
+  items: [{
+    _id: false,
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post'
+    },
+    // Why the post is in the feed: followed, interests, trending, unanswered
+    reason: String
+  }],
+  
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+feedSnapshotSchema.index({ createdAt: 1 }, { expireAfterSeconds: SNAPSHOT_TTL_SECONDS });
+feedSnapshotSchema.index({ user: 1 });
+
+module.exports = mongoose.model('FeedSnapshot', feedSnapshotSchema);
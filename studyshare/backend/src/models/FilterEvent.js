@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = 90;
+
+// What the content filter found in a post or comment, kept for the moderators.
+// Only written when at least one check fired.
+const filterEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  
+  targetType: {
+    type: String,
+    enum: ['Post', 'Comment'],
+    required: true
+  },
+  
+  // Empty when the content was rejected and never saved
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetType'
+  },
+  
+  // Created rather than edited
+  onCreate: Boolean,
+  
+  verdict: {
+    type: String,
+    enum: ['reject', 'flag', 'allow'],
+    required: true
+  },
+  
+  results: [{
+    _id: false,
+    check: String,
+    action: String,
+    reason: String,
+    matches: [String]
+  }],
+  
+  excerpt: String
+
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+filterEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+filterEventSchema.index({ verdict: 1, createdAt: -1 });
+filterEventSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('FilterEvent', filterEventSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const { FLAG_REASONS } = require('../config/moderation');
+
+// A user's report of a post or comment; one per user and target
+const flagSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: ['Post', 'Comment'],
+    required: true
+  },
+  
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetType',
+    required: true
+  },
+  
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  
+  reason: {
+    type: String,
+    enum: FLAG_REASONS,
+    required: true
+  },
+  
+  details: {
+    type: String,
+    maxlength: 500
+  },
+  
+  // Resolved flags stay for the record but no longer count towards the threshold
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open'
+  }
+
+}, {
+  timestamps: true
+});
+
+// Indexes
+flagSchema.index({ target: 1, user: 1 }, { unique: true });
+flagSchema.index({ target: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Flag', flagSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const TARGET_TYPES = ['User', 'Subject', 'Tag'];
+
+// A user following another user, a subject or a tag. Users are referenced
+// in `followee`; subjects and tags are stored by name in `topic`.
+const followSchema = new mongoose.Schema({
+  follower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  
+  targetType: {
+    type: String,
+    enum: TARGET_TYPES,
+    default: 'User'
+  },
+  
+  followee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function() { return this.targetType === 'User'; }
+  },
+  
+  topic: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    required: function() { return this.targetType !== 'User'; }
+  }
+
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+followSchema.index(
+  { follower: 1, followee: 1 },
+  { unique: true, partialFilterExpression: { followee: { $exists: true } } }
+);
+followSchema.index(
+  { follower: 1, targetType: 1, topic: 1 },
+  { unique: true, partialFilterExpression: { topic: { $exists: true } } }
+);
+followSchema.index({ followee: 1, createdAt: -1 });
+followSchema.index({ targetType: 1, topic: 1 });
+
+followSchema.statics.TARGET_TYPES = TARGET_TYPES;
+
+module.exports = mongoose.model('Follow', followSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// One cached leaderboard (window + optional subject and grade). Its ranked
+// users live in LeaderboardEntry under the board's current version.
+const leaderboardSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  
+  window: {
+    type: String,
+    enum: ['weekly', 'monthly', 'all'],
+    required: true
+  },
+  
+  subject: {
+    type: String,
+    default: null
+  },
+  
+  grade: {
+    type: String,
+    default: null
+  },
+  
+  // Entries of older versions are removed after each refresh
+  version: mongoose.Schema.Types.ObjectId,
+  
+  size: {
+    type: Number,
+    default: 0
+  },
+  
+  refreshedAt: Date,
+  
+  // Boards nobody asks for stop being refreshed and are eventually dropped
+  lastRequestedAt: {
+    type: Date,
+    default: Date.now
+  }
+
+}, {
+  timestamps: true
+});
+
+leaderboardSchema.index({ lastRequestedAt: -1 });
+
+leaderboardSchema.statics.buildKey = ({ window, subject = null, grade = null }) =>
+  [window, subject || '*', grade || '*'].join(':');
+
+module.exports = mongoose.model('Leaderboard', leaderboardSchema);
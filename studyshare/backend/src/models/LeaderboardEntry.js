@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const leaderboardEntrySchema = new mongoose.Schema({
+  board: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Leaderboard',
+    required: true
+  },
+  
+  version: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  
+  points: {
+    type: Number,
+    required: true
+  },
+  
+  // Users with the same points share a rank (1, 2, 2, 4...)
+  rank: {
+    type: Number,
+    required: true
+  }
+
+}, {
+  versionKey: false
+});
+
+// Indexes
+leaderboardEntrySchema.index({ board: 1, version: 1, rank: 1, _id: 1 });
+leaderboardEntrySchema.index({ board: 1, version: 1, user: 1 });
+
+module.exports = mongoose.model('LeaderboardEntry', leaderboardEntrySchema);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const { FLAG_REASONS } = require('../config/moderation');
+
+// Entry of the moderation queue: one per flagged post or comment
+const moderationItemSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: ['Post', 'Comment'],
+    required: true
+  },
+  
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetType',
+    required: true,
+    unique: true
+  },
+  
+  // Post the target belongs to (the post itself for posts)
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  },
+  
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  
+  // Open flags, overall and per reason
+  flagsCount: {
+    type: Number,
+    default: 0
+  },
+  
+  reasons: FLAG_REASONS.reduce((counts, reason) => ({
+    ...counts,
+    [reason]: { type: Number, default: 0 }
+  }), {}),
+  
+  lastFlaggedAt: Date,
+  
+  // Findings of the content filter when it held the content back
+  filterResults: [{
+    _id: false,
+    check: String,
+    reason: String,
+    matches: [String]
+  }],
+  
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open'
+  },
+  
+  // Hidden automatically when the flag threshold was reached
+  autoHidden: {
+    type: Boolean,
+    default: false
+  },
+  
+  resolution: {
+    type: String,
+    enum: ['approve', 'hide', 'delete']
+  },
+  
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  
+  resolvedAt: Date
+
+}, {
+  timestamps: true
+});
+
+// Indexes
+moderationItemSchema.index({ status: 1, flagsCount: -1, _id: -1 });
+moderationItemSchema.index({ status: 1, targetType: 1, flagsCount: -1, _id: -1 });
+
+module.exports = mongoose.model('ModerationItem', moderationItemSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const { MODERATOR_ACTIONS } = require('../config/moderation');
+
+// Audit trail: every moderation action, automatic or by a moderator
+const moderationLogSchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ModerationItem'
+  },
+  
+  targetType: {
+    type: String,
+    enum: ['Post', 'Comment'],
+    required: true
+  },
+  
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetType',
+    required: true
+  },
+  
+  action: {
+    type: String,
+    enum: [...MODERATOR_ACTIONS, 'auto_hide'],
+    required: true
+  },
+  
+  // Empty for automatic actions
+  moderator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  
+  note: {
+    type: String,
+    maxlength: 1000
+  },
+  
+  previousStatus: String,
+  
+  newStatus: String
+
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+moderationLogSchema.index({ target: 1, createdAt: -1 });
+moderationLogSchema.index({ moderator: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ModerationLog', moderationLogSchema);
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = [
+  'comment_reply', 'post_like', 'answer_accepted', 'mention', 'badge_earned',
+  'new_follower', 'followed_post', 'followed_tag_post', 'moderation'
+];
+// Moderation notices always go out; the rest can be turned off per user
+const PREFERENCE_TYPES = NOTIFICATION_TYPES.filter(type => type !== 'moderation');
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  
+  // Who triggered it; left empty when they acted anonymously
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  
+  actorName: String,
+  
+  actorAvatar: String,
+  
+  // What it is about
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  },
+  
+  postSlug: String,
+  
+  postTitle: String,
+  
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment'
+  },
+  
+  message: {
+    type: String,
+    required: true,
+    maxlength: 300
+  },
+  
+  // Extra type specific data, e.g. the badge name
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  
+  // Status
+  read: {
+    type: Boolean,
+    default: false
+  },
+  
+  readAt: Date,
+  
+  emailedAt: Date
+
+}, {
+  timestamps: true
+});
+
+// Indexes
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, read: 1 });
+notificationSchema.index({ read: 1, emailedAt: 1, createdAt: -1 });
+// Old notifications are removed after 90 days
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+notificationSchema.statics.TYPES = NOTIFICATION_TYPES;
+notificationSchema.statics.PREFERENCE_TYPES = PREFERENCE_TYPES;
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+const REASONS = [
+  'post_published',
+  'comment_posted',
+  'answer_accepted',
+  'like_received',
+  'save_received',
+  'badge_earned',
+  'reversal',
+  'admin_adjustment',
+  'opening_balance'
+];
+
+// Points ledger: every award or deduction is recorded here, User.points is the
+// running total and can always be recomputed from it
+const pointsTransactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  
+  amount: {
+    type: Number,
+    required: true
+  },
+  
+  reason: {
+    type: String,
+    enum: REASONS,
+    required: true
+  },
+  
+  note: String,
+  
+  // Document that earned the points (post, comment, reaction, badge award...)
+  source: {
+    kind: {
+      type: String,
+      enum: ['Post', 'Comment', 'Reaction', 'Badge', 'User'],
+      required: true
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    }
+  },
+  
+  // Post the points relate to, so everything tied to it can be reversed at once
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  },
+  
+  subject: String,
+  
+  // Reversals
+  reversed: {
+    type: Boolean,
+    default: false
+  },
+  
+  reverses: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PointsTransaction'
+  },
+  
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+pointsTransactionSchema.index({ user: 1, createdAt: -1 });
+pointsTransactionSchema.index({ 'source.id': 1, reversed: 1 });
+pointsTransactionSchema.index({ post: 1, reversed: 1 });
+pointsTransactionSchema.index({ createdAt: -1, subject: 1 });
+// The same thing can only be rewarded once while the award stands
+// (reversals and deductions are negative and not constrained)
+pointsTransactionSchema.index(
+  { user: 1, reason: 1, 'source.id': 1 },
+  { unique: true, partialFilterExpression: { reversed: false, amount: { $gt: 0 } } }
+);
+
+pointsTransactionSchema.statics.REASONS = REASONS;
+
+module.exports = mongoose.model('PointsTransaction', pointsTransactionSchema);
@@ -1,5 +1,48 @@
 const mongoose = require('mongoose');
-const slugify = require('slugify');
+const { toSearchText } = require('../utils/arabic');
+const { toSlug, variantsPattern } = require('../utils/slug');
+const mindmapUtils = require('../utils/mindmap');
+const markdown = require('../utils/markdown');
+const { TAG_MAX_LENGTH } = require('../config/constants');
+
+const WORDS_PER_MINUTE = 200;
+const EXCERPT_LENGTH = 200;
+
+// Two saves racing for the same slug: the loser looks for a free one again
+const MAX_SLUG_ATTEMPTS = 3;
+
+// One node of a mindmap tree (see utils/mindmap)
+const mindmapNodeSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    match: mindmapUtils.NODE_KEY
+  },
+  
+  // Key of the parent node, null for the root
+  parent: {
+    type: String,
+    default: null
+  },
+  
+  label: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: mindmapUtils.MINDMAP_LIMITS.label
+  },
+  
+  color: {
+    type: String,
+    match: mindmapUtils.NODE_COLOR
+  },
+  
+  // Another post this node points to
+  link: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  }
+}, { _id: false });
 
 const postSchema = new mongoose.Schema({
   // Core Information
@@ -17,13 +60,31 @@ const postSchema = new mongoose.Schema({
     lowercase: true
   },
   
+  // Every slug the post has had since it was first published, the current one
+  // included. Links to the old ones redirect (see posts.controller).
+  slugs: {
+    type: [String],
+    default: undefined
+  },
+  
+  // Markdown with LaTeX math (see utils/markdown). Optional for mindmaps,
+  // whose tree is the content, and drafts may hold whatever was typed so far.
   content: {
     type: String,
-    required: [true, 'Post content is required'],
-    minlength: [10, 'Content must be at least 10 characters'],
+    required: [function() { return this.postType !== 'mindmap' && this.status !== 'draft'; }, 'Post content is required'],
+    validate: {
+      validator: function(value) { return value === null || this.status === 'draft' || value.length >= 10; },
+      message: 'Content must be at least 10 characters'
+    },
     maxlength: [10000, 'Content cannot exceed 10000 characters']
   },
   
+  // Sanitized HTML rendering of `content`, rebuilt whenever it changes
+  contentHtml: {
+    type: String,
+    default: ''
+  },
+  
   excerpt: {
     type: String,
     maxlength: [300, 'Excerpt cannot exceed 300 characters']
@@ -73,7 +134,7 @@ const postSchema = new mongoose.Schema({
     type: String,
     lowercase: true,
     trim: true,
-    maxlength: [20, 'Tag cannot exceed 20 characters']
+    maxlength: [TAG_MAX_LENGTH, `Tag cannot exceed ${TAG_MAX_LENGTH} characters`]
   }],
   
   category: {
@@ -82,8 +143,43 @@ const postSchema = new mongoose.Schema({
     default: 'academic'
   },
   
+  // Tree of a mindmap post; unset for every other post type
+  mindmap: {
+    type: new mongoose.Schema({
+      nodes: {
+        type: [mindmapNodeSchema],
+        validate: {
+          validator: nodes => !mindmapUtils.findTreeErrors(nodes).length,
+          message: 'Invalid mindmap tree'
+        }
+      },
+      
+      // Bumped on every change to the nodes; the rendered image records the one it shows
+      revision: {
+        type: Number,
+        default: 0
+      },
+      
+      // Server-rendered PNG of the tree and its thumbnail (see services/mindmap.service)
+      image: {
+        driver: String,
+        key: String,
+        url: String,
+        thumbnailKey: String,
+        thumbnail: String,
+        revision: Number,
+        renderedAt: Date
+      }
+    }, { _id: false }),
+    default: undefined
+  },
+  
   // Files & Media
   attachments: [{
+    upload: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Upload'
+    },
     url: {
       type: String,
       required: true
@@ -99,26 +195,25 @@ const postSchema = new mongoose.Schema({
   }],
   
   // Engagement Metrics
-  likes: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  }],
+  // Who liked/saved lives in the Reaction collection and recent viewers in PostView;
+  // the post only keeps counters, updated atomically with $inc
+  likesCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   
-  saves: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  }],
+  savesCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   
   views: {
     type: Number,
     default: 0
   },
   
-  viewHistory: [{
-    userId: mongoose.Schema.Types.ObjectId,
-    viewedAt: Date
-  }],
-  
   shares: {
     type: Number,
     default: 0
@@ -149,10 +244,17 @@ const postSchema = new mongoose.Schema({
   // Status & Moderation
   status: {
     type: String,
-    enum: ['draft', 'published', 'archived', 'flagged', 'deleted'],
+    enum: ['draft', 'published', 'archived', 'flagged', 'hidden', 'deleted'],
     default: 'published'
   },
   
+  // Whether the post is included in its author's stats (see syncAuthorStats)
+  countedInStats: {
+    type: Boolean,
+    default: false,
+    select: false
+  },
+  
   isFeatured: {
     type: Boolean,
     default: false
@@ -175,12 +277,26 @@ const postSchema = new mongoose.Schema({
   
   metaDescription: String,
   
-  // Timestamps
-  publishedAt: {
-    type: Date,
-    default: Date.now
+  // Normalized, stemmed copies of the searchable fields (see utils/arabic)
+  searchIndex: {
+    title: { type: String, select: false },
+    tags: { type: String, select: false },
+    body: { type: String, select: false }
   },
   
+  // Minutes, from the plain-text rendering of the content
+  readTime: {
+    type: Number,
+    default: 1
+  },
+  
+  // Timestamps
+  // Set the first time the post goes live; drafts have none
+  publishedAt: Date,
+  
+  // Set once followers have been told about the post, so republishing doesn't repeat it
+  followersNotifiedAt: Date,
+  
   lastActivity: {
     type: Date,
     default: Date.now
@@ -205,19 +321,22 @@ const postSchema = new mongoose.Schema({
 
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    // Anonymous posts never reveal who wrote them; the stats flag is internal
+    transform: (doc, ret) => {
+      delete ret.countedInStats;
+      if (ret.isAnonymous) {
+        delete ret.author;
+        delete ret.authorAvatar;
+      }
+      return ret;
+    }
+  },
   toObject: { virtuals: true }
 });
 
 // Virtuals
-postSchema.virtual('likesCount').get(function() {
-  return this.likes.length;
-});
-
-postSchema.virtual('savesCount').get(function() {
-  return this.saves.length;
-});
-
 postSchema.virtual('commentsCount', {
   ref: 'Comment',
   localField: '_id',
@@ -235,14 +354,8 @@ postSchema.virtual('popularityScore').get(function() {
   return likesWeight + savesWeight + commentsWeight + viewsWeight + ratingWeight;
 });
 
-postSchema.virtual('readTime').get(function() {
-  const wordsPerMinute = 200;
-  const wordCount = this.content.split(/\s+/).length;
-  return Math.ceil(wordCount / wordsPerMinute);
-});
-
 // Indexes for performance
-postSchema.index({ slug: 1 });
+postSchema.index({ slugs: 1 }, { unique: true, sparse: true });
 postSchema.index({ author: 1 });
 postSchema.index({ subject: 1, grade: 1 });
 postSchema.index({ postType: 1 });
@@ -253,22 +366,76 @@ postSchema.index({ lastActivity: -1 });
 postSchema.index({ tags: 1 });
 postSchema.index({ status: 1, isFeatured: 1 });
 postSchema.index({ isPinned: -1, publishedAt: -1 });
+postSchema.index({ author: 1, status: 1, updatedAt: -1 });
+// Language 'none': MongoDB has no Arabic stemmer, stemming is done in utils/arabic
+postSchema.index(
+  { 'searchIndex.title': 'text', 'searchIndex.tags': 'text', 'searchIndex.body': 'text' },
+  {
+    name: 'post_search',
+    default_language: 'none',
+    weights: { 'searchIndex.title': 10, 'searchIndex.tags': 5, 'searchIndex.body': 1 }
+  }
+);
+
+// Only mindmap posts carry a tree, and they always do once they leave draft
+postSchema.pre('validate', function(next) {
+  if (this.postType !== 'mindmap') {
+    this.mindmap = undefined;
+  } else if (this.status !== 'draft' && (!this.mindmap || !this.mindmap.nodes.length)) {
+    this.invalidate('mindmap', 'Mindmap posts need a mindmap tree');
+  }
+  next();
+});
+
+// The status as loaded, so saves can tell when a post goes live
+postSchema.post('init', function() {
+  this.$locals.loadedStatus = this.status;
+});
+
+// A new slug when the title changes. Until the post is first published its
+// URL hasn't been shared, so the old slug is let go; after that it's kept.
+postSchema.pre('save', async function() {
+  // Posts from before the slug history (see scripts/migrate-slugs.js)
+  if (this.slug && !this.slugs) {
+    this.slugs = [this.slug];
+  }
+  if (!this.isNew && !this.isModified('title')) return;
+  
+  const slug = await this.constructor.findFreeSlug(this.title, this._id);
+  if (slug === this.slug) return;
+  
+  const kept = this.publishedAt ? (this.slugs || []).filter(old => old !== slug) : [];
+  this.slug = slug;
+  this.slugs = [...kept, slug];
+});
 
 // Pre-save middleware
 postSchema.pre('save', function(next) {
-  // Generate slug from title
-  if (this.isModified('title')) {
-    const timestamp = Date.now().toString().slice(-5);
-    this.slug = slugify(`${this.title} ${timestamp}`, {
-      lower: true,
-      strict: true,
-      locale: 'ar'
-    });
+  // Remembered for the post-save hook
+  this.$locals.statusChanged = this.isNew || this.isModified('status');
+  this.$locals.wentLive = this.status === 'published' && this.$locals.loadedStatus !== 'published';
+  if (this.$locals.wentLive && !this.publishedAt) {
+    this.publishedAt = new Date();
   }
   
-  // Generate excerpt if not provided
-  if (!this.excerpt && this.content) {
-    this.excerpt = this.content.substring(0, 200) + '...';
+  const mindmapChanged = this.isModified('mindmap.nodes');
+  if (mindmapChanged && !this.isNew) {
+    this.mindmap.revision += 1;
+  }
+  
+  // Render the content, then refresh the search index from the result
+  if (this.isModified('content') || mindmapChanged || this.$locals.wentLive) {
+    this.renderContent();
+  }
+  if (this.isModified('title') || this.isModified('content') || this.isModified('tags') ||
+      this.isModified('keywords') || mindmapChanged) {
+    this.buildSearchIndex();
+  }
+  
+  // Whoever switches a post to anonymous, the author's name and avatar go with it
+  if (this.isAnonymous) {
+    this.authorName = 'مجهول';
+    this.authorAvatar = undefined;
   }
   
   // Update last activity
@@ -277,69 +444,157 @@ postSchema.pre('save', function(next) {
   next();
 });
 
-// Post-save middleware to update user stats
+// Post-save middleware to update the author's stats
 postSchema.post('save', async function(doc) {
-  if (doc.status === 'published') {
-    await mongoose.model('User').updateOne(
-      { _id: doc.author },
-      { $inc: { 'stats.postsCount': 1 } }
-    );
+  doc.$locals.loadedStatus = doc.status;
+  
+  if (doc.$locals.statusChanged) {
+    await doc.constructor.syncAuthorStats(doc);
   }
 });
 
 // Methods
-postSchema.methods.incrementViews = async function(userId = null) {
-  this.views += 1;
-  
-  if (userId) {
-    // Add to view history if not already viewed recently
-    const recentView = this.viewHistory.find(
-      view => view.userId.toString() === userId.toString() &&
-      new Date() - view.viewedAt < 24 * 60 * 60 * 1000
-    );
-    
-    if (!recentView) {
-      this.viewHistory.push({
-        userId,
-        viewedAt: new Date()
-      });
+// save() for anything that may set a new slug (creates and title edits). If
+// another post took the slug between findFreeSlug and the write, the slug
+// fields go back to how they were and the slug hook picks the next free one.
+postSchema.methods.saveWithFreeSlug = async function(options) {
+  const before = { slug: this.slug, slugs: this.slugs && [...this.slugs], publishedAt: this.publishedAt };
+  
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await this.save(options);
+    } catch (error) {
+      const slugTaken = error.code === 11000 && error.keyPattern &&
+        (error.keyPattern.slug || error.keyPattern.slugs);
+      if (!slugTaken || attempt >= MAX_SLUG_ATTEMPTS) throw error;
+      this.set(before);
     }
   }
-  
-  await this.save();
 };
 
-postSchema.methods.addRating = async function(userId, ratingValue) {
-  if (ratingValue < 1 || ratingValue > 5) {
-    throw new Error('Rating must be between 1 and 5');
+postSchema.methods.buildSearchIndex = function() {
+  this.searchIndex = {
+    title: toSearchText(this.title),
+    tags: toSearchText(this.tags, this.keywords),
+    body: toSearchText(this.getPlainText())
+  };
+};
+
+// What a reader sees: the rendered content, or the node labels of a mindmap
+postSchema.methods.getPlainText = function() {
+  return [markdown.toPlainText(this.content || ''), this.getMindmapOutline()].filter(Boolean).join('\n');
+};
+
+// contentHtml, readTime, and the excerpt when the author didn't write one.
+// Drafts get no excerpt yet, it would freeze whatever was typed first.
+postSchema.methods.renderContent = function() {
+  const text = this.getPlainText();
+  
+  this.contentHtml = this.content ? markdown.renderMarkdown(this.content) : '';
+  this.readTime = Math.max(1, Math.ceil(text.split(/\s+/).filter(Boolean).length / WORDS_PER_MINUTE));
+  if (!this.excerpt && text && this.status !== 'draft') {
+    this.excerpt = markdown.truncate(text, EXCERPT_LENGTH);
   }
-  
-  // Update rating details
-  const oldRating = this.rating.details[ratingValue] || 0;
-  this.rating.details[ratingValue] = oldRating + 1;
-  
-  // Recalculate average
-  const totalRatings = Object.values(this.rating.details).reduce((a, b) => a + b, 0);
-  const sumRatings = Object.entries(this.rating.details).reduce(
-    (sum, [rating, count]) => sum + (parseInt(rating) * count), 0
+};
+
+// Node labels as indented text; empty for other post types
+postSchema.methods.getMindmapOutline = function() {
+  return this.mindmap ? mindmapUtils.toOutline(this.mindmap.nodes) : '';
+};
+
+// Static methods
+// The title's slug, or the first "-2", "-3"... variant of it that no other post
+// uses or used. Another save may still take it first (see saveWithFreeSlug).
+postSchema.statics.findFreeSlug = async function(title, postId) {
+  const base = toSlug(title);
+  const taken = await this.find({ slugs: variantsPattern(base), _id: { $ne: postId } })
+    .select('slugs')
+    .lean();
+  const used = new Set(taken.flatMap(post => post.slugs));
+  
+  let slug = base;
+  for (let n = 2; used.has(slug); n += 1) {
+    slug = `${base}-${n}`;
+  }
+  return slug;
+};
+
+// Published posts count towards their author's postsCount, and the likes and
+// saves other users gave them towards likesReceived and savesReceived. Call
+// after any status change: the countedInStats flip makes repeated or racing
+// calls move the counters once per real transition. Returns whether they moved.
+postSchema.statics.syncAuthorStats = async function(post) {
+  const counted = post.status === 'published';
+  const flipped = await this.findOneAndUpdate(
+    { _id: post._id, countedInStats: { $ne: counted } },
+    { countedInStats: counted },
+    { projection: { author: 1 } }
   );
+  if (!flipped) return false;
   
-  this.rating.average = sumRatings / totalRatings;
-  this.rating.count = totalRatings;
+  const others = { post: flipped._id, user: { $ne: flipped.author } };
+  const [likes, saves] = await Promise.all([
+    mongoose.model('Reaction').countDocuments({ ...others, type: 'like' }),
+    mongoose.model('Reaction').countDocuments({ ...others, type: 'save' })
+  ]);
   
-  await this.save();
+  const sign = counted ? 1 : -1;
+  await mongoose.model('User').updateOne(
+    { _id: flipped.author },
+    {
+      $inc: {
+        'stats.postsCount': sign,
+        'stats.likesReceived': sign * likes,
+        'stats.savesReceived': sign * saves
+      }
+    }
+  );
+  return true;
 };
 
-// Static methods
-postSchema.statics.getTrending = function(limit = 10, subject = null) {
+// Apply one user's rating change (previous and/or new value, 1-5 or null) and
+// recompute count and average in a single atomic update, so concurrent raters can't lose updates
+postSchema.statics.applyRatingChange = function(postId, previousValue, newValue) {
+  const values = [1, 2, 3, 4, 5];
+  const delta = value => (value === newValue ? 1 : 0) - (value === previousValue ? 1 : 0);
+  
+  const details = {};
+  values.forEach(value => {
+    details[`rating.details.${value}`] = {
+      $add: [{ $ifNull: [`$rating.details.${value}`, 0] }, delta(value)]
+    };
+  });
+  
+  const count = { $add: values.map(value => `$rating.details.${value}`) };
+  const sum = { $add: values.map(value => ({ $multiply: [value, `$rating.details.${value}`] })) };
+  
+  return this.updateOne({ _id: postId }, [
+    { $set: details },
+    { $set: { 'rating.count': count } },
+    {
+      $set: {
+        'rating.average': {
+          $cond: [
+            { $gt: ['$rating.count', 0] },
+            { $round: [{ $divide: [sum, '$rating.count'] }, 1] },
+            0
+          ]
+        }
+      }
+    }
+  ]);
+};
+
+postSchema.statics.getTrending = function(limit = 10, subject = null, options = {}) {
+  const { match = {}, skip = 0 } = options;
   const pipeline = [
-    { $match: { status: 'published' } },
+    { $match: { ...match, status: 'published' } },
     {
       $addFields: {
         score: {
           $add: [
-            { $multiply: [{ $size: '$likes' }, 2] },
-            { $multiply: [{ $size: '$saves' }, 3] },
+            { $multiply: ['$likesCount', 2] },
+            { $multiply: ['$savesCount', 3] },
             { $multiply: ['$views', 0.1] },
             { $multiply: ['$rating.average', 20] }
           ]
@@ -359,7 +614,8 @@ postSchema.statics.getTrending = function(limit = 10, subject = null) {
         }
       }
     },
-    { $sort: { trendingScore: -1 } },
+    { $sort: { trendingScore: -1, _id: -1 } },
+    { $skip: skip },
     { $limit: limit },
     {
       $lookup: {
@@ -370,6 +626,7 @@ postSchema.statics.getTrending = function(limit = 10, subject = null) {
       }
     },
     { $unwind: '$authorDetails' },
+    // Only projected fields leave the pipeline: no author id, and no avatar on anonymous posts
     {
       $project: {
         title: 1,
@@ -378,9 +635,9 @@ postSchema.statics.getTrending = function(limit = 10, subject = null) {
         postType: 1,
         subject: 1,
         authorName: 1,
-        authorAvatar: '$authorDetails.avatar',
-        likesCount: { $size: '$likes' },
-        savesCount: { $size: '$saves' },
+        authorAvatar: { $cond: ['$isAnonymous', '$$REMOVE', '$authorDetails.avatar'] },
+        likesCount: 1,
+        savesCount: 1,
         commentsCount: 1,
         views: 1,
         rating: 1,
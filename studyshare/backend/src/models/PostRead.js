@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = 90;
+
+// Posts a member has opened, so the feed can leave them out. Unlike PostView
+// (a 24h counting window) this is kept for RETENTION_DAYS.
+const postReadSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  
+  readAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+postReadSchema.index({ user: 1, post: 1 }, { unique: true });
+postReadSchema.index({ readAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('PostRead', postReadSchema);
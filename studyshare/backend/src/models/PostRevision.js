@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// One saved version of a post's content. Revision 1 is the post as created;
+// each explicit edit that changes the content adds the next one (autosaves don't).
+const postRevisionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  
+  number: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  
+  editor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  
+  // Set when the revision brings back an older one
+  restoredFrom: Number,
+  
+  // Fields that differ from the previous revision
+  changedFields: [String],
+  
+  // The content as it was saved
+  title: String,
+  
+  content: String,
+  
+  excerpt: String,
+  
+  tags: [String],
+  
+  // Nodes of a mindmap post, already validated by the post
+  mindmapNodes: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: undefined
+  }
+
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+postRevisionSchema.index({ post: 1, number: -1 }, { unique: true });
+
+module.exports = mongoose.model('PostRevision', postRevisionSchema);
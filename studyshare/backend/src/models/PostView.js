@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+const VIEW_WINDOW_SECONDS = 24 * 60 * 60;
+
+// One document per viewer per post, removed by MongoDB after the dedup window
+const postViewSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  
+  // "u:<userId>" for members, "ip:<sha256 of ip>" for guests
+  viewerKey: {
+    type: String,
+    required: true
+  },
+  
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  
+  viewedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+postViewSchema.index({ post: 1, viewerKey: 1 }, { unique: true });
+postViewSchema.index({ viewedAt: 1 }, { expireAfterSeconds: VIEW_WINDOW_SECONDS });
+
+module.exports = mongoose.model('PostView', postViewSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// One rating per user per post; Post.rating holds the aggregated numbers
+const ratingSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  
+  value: {
+    type: Number,
+    required: [true, 'Rating value is required'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Rating must be a whole number'
+    }
+  }
+
+}, {
+  timestamps: true
+});
+
+// Indexes
+ratingSchema.index({ post: 1, user: 1 }, { unique: true });
+ratingSchema.index({ user: 1 });
+
+module.exports = mongoose.model('Rating', ratingSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// A user's like or save of a post. Kept out of the post document so popular
+// posts don't grow without limit; Post.likesCount/savesCount hold the totals.
+const reactionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  
+  type: {
+    type: String,
+    enum: ['like', 'save'],
+    required: true
+  }
+
+}, {
+  timestamps: true
+});
+
+// Indexes
+// The unique index is what makes like/save idempotent under concurrency
+reactionSchema.index({ post: 1, user: 1, type: 1 }, { unique: true });
+reactionSchema.index({ user: 1, type: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Reaction', reactionSchema);
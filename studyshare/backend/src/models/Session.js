@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  
+  // Only hashes are stored; the raw refresh token lives on the client
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  
+  // Hash of the token this one replaced, used to detect refresh token reuse
+  previousTokenHash: {
+    type: String,
+    select: false
+  },
+  
+  // Device information
+  device: {
+    type: String,
+    default: 'Unknown device'
+  },
+  
+  userAgent: String,
+  
+  ip: String,
+  
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  
+  revokedReason: String
+
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.refreshTokenHash;
+      delete ret.previousTokenHash;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Virtuals
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static methods
+sessionSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+sessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId = null) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  return this.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// A stored file. It becomes permanent once attached to a post; uploads never
+// attached are removed by the orphan cleanup job.
+const uploadSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  
+  // Storage
+  driver: {
+    type: String,
+    enum: ['local', 'cloudinary'],
+    required: true
+  },
+  
+  key: {
+    type: String,
+    required: true
+  },
+  
+  url: {
+    type: String,
+    required: true
+  },
+  
+  thumbnailKey: String,
+  
+  thumbnail: String,
+  
+  // File information (type and mime come from the file's magic bytes)
+  type: {
+    type: String,
+    enum: ['pdf', 'image', 'video', 'audio', 'document'],
+    required: true
+  },
+  
+  mimeType: {
+    type: String,
+    required: true
+  },
+  
+  name: {
+    type: String,
+    maxlength: 255
+  },
+  
+  size: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  
+  // Attachment
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    default: null
+  },
+  
+  attachedAt: Date
+
+}, {
+  timestamps: true
+});
+
+// Indexes
+uploadSchema.index({ user: 1, createdAt: -1 });
+uploadSchema.index({ post: 1, updatedAt: 1 });
+
+// Total bytes stored by a user, thumbnails not included
+uploadSchema.statics.getUsage = async function(userId) {
+  const [usage] = await this.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId) } },
+    { $group: { _id: null, bytes: { $sum: '$size' }, files: { $sum: 1 } } }
+  ]);
+  return usage ? { bytes: usage.bytes, files: usage.files } : { bytes: 0, files: 0 };
+};
+
+module.exports = mongoose.model('Upload', uploadSchema);
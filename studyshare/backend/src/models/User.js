@@ -2,6 +2,7 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const validator = require('validator');
 const crypto = require('crypto');
+const { normalizeArabic } = require('../utils/arabic');
 
 const userSchema = new mongoose.Schema({
   // Identification
@@ -52,6 +53,12 @@ const userSchema = new mongoose.Schema({
     }
   },
   
+  // Normalized displayName and username for user search
+  searchName: {
+    type: String,
+    select: false
+  },
+  
   bio: {
     type: String,
     maxlength: [500, 'Bio cannot exceed 500 characters'],
@@ -78,6 +85,8 @@ const userSchema = new mongoose.Schema({
   },
   
   badges: [{
+    // Rule key from config/badges
+    key: String,
     name: {
       type: String,
       required: true
@@ -125,6 +134,21 @@ const userSchema = new mongoose.Schema({
     }
   },
   
+  // Notification settings: per type in-app toggle plus an optional daily email digest
+  notificationPreferences: {
+    comment_reply: { type: Boolean, default: true },
+    post_like: { type: Boolean, default: true },
+    answer_accepted: { type: Boolean, default: true },
+    mention: { type: Boolean, default: true },
+    badge_earned: { type: Boolean, default: true },
+    new_follower: { type: Boolean, default: true },
+    followed_post: { type: Boolean, default: true },
+    followed_tag_post: { type: Boolean, default: true },
+    emailDigest: { type: Boolean, default: false }
+  },
+  
+  lastDigestAt: Date,
+  
   // Account status
   role: {
     type: String,
@@ -149,7 +173,9 @@ const userSchema = new mongoose.Schema({
     likesReceived: { type: Number, default: 0 },
     savesReceived: { type: Number, default: 0 },
     helpfullnessScore: { type: Number, default: 0 },
-    streakDays: { type: Number, default: 0 }
+    streakDays: { type: Number, default: 0 },
+    followersCount: { type: Number, default: 0 },
+    followingCount: { type: Number, default: 0 }
   },
   
   // Timestamps
@@ -160,6 +186,12 @@ const userSchema = new mongoose.Schema({
   
   lastLogin: Date,
   
+  // Bumped to invalidate every access token issued before the change
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  
   // Reset password
   resetPasswordToken: String,
   resetPasswordExpire: Date,
@@ -170,7 +202,19 @@ const userSchema = new mongoose.Schema({
   
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    // Never serialize credentials or one-time tokens
+    transform: (doc, ret) => {
+      delete ret.password;
+      delete ret.resetPasswordToken;
+      delete ret.resetPasswordExpire;
+      delete ret.emailVerificationToken;
+      delete ret.emailVerificationExpire;
+      delete ret.tokenVersion;
+      return ret;
+    }
+  },
   toObject: { virtuals: true }
 });
 
@@ -197,13 +241,34 @@ userSchema.index({ email: 1 });
 userSchema.index({ 'stats.postsCount': -1 });
 userSchema.index({ createdAt: -1 });
 userSchema.index({ lastActive: -1 });
+userSchema.index({ searchName: 1 });
+
+// Streak after activity at `now`: same day keeps it, the next day extends it,
+// a missed day restarts it
+const DAY_MS = 24 * 60 * 60 * 1000;
+const nextStreak = (lastActive, streakDays, now = new Date()) => {
+  if (!lastActive || !streakDays) return 1;
+  
+  const startOfDay = date => new Date(date).setHours(0, 0, 0, 0);
+  const daysSince = Math.round((startOfDay(now) - startOfDay(lastActive)) / DAY_MS);
+  
+  if (daysSince <= 0) return streakDays;
+  if (daysSince === 1) return streakDays + 1;
+  return 1;
+};
 
 // Pre-save middleware
 userSchema.pre('save', async function(next) {
   // Generate anonymous ID if needed
   if (this.isAnonymous && !this.anonymousId) {
     this.anonymousId = `anon_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
-    this.displayName = this.generateAnonymousName();
+    if (!this.displayName) {
+      this.displayName = this.generateAnonymousName();
+    }
+  }
+  
+  if (this.isModified('displayName') || this.isModified('username')) {
+    this.searchName = normalizeArabic(`${this.displayName} ${this.username || ''}`).trim();
   }
   
   // Hash password if modified
@@ -216,14 +281,26 @@ userSchema.pre('save', async function(next) {
     }
   }
   
-  // Update last active
-  this.lastActive = new Date();
+  // Deactivation or a role change invalidates every existing token
+  const deactivated = this.isModified('isActive') && !this.isActive;
+  if (!this.isNew && (this.isModified('role') || deactivated)) {
+    this.tokenVersion += 1;
+    this.$locals.revokeSessions = deactivated ? 'account_deactivated' : 'role_changed';
+  }
   
   next();
 });
 
+// Post-save middleware to end sessions after deactivation or a role change
+userSchema.post('save', async function(doc) {
+  if (doc.$locals.revokeSessions) {
+    await mongoose.model('Session').revokeAllForUser(doc._id, doc.$locals.revokeSessions);
+    doc.$locals.revokeSessions = null;
+  }
+});
+
 // Methods
-userSchema.methods.generateAnonymousName = function() {
+const generateAnonymousName = function() {
   const adjectives = ['سريع', 'مبدع', 'ذكي', 'مثابر', 'فضولي', 'منظم', 'دقيق', 'خلاق'];
   const nouns = ['طالب', 'متعلم', 'باحث', 'قارئ', 'كاتب', 'ملخص', 'عقل', 'مفكر'];
   const numbers = Math.floor(100 + Math.random() * 900);
@@ -232,16 +309,19 @@ userSchema.methods.generateAnonymousName = function() {
   return `${adj}_${noun}_${numbers}`;
 };
 
+userSchema.methods.generateAnonymousName = generateAnonymousName;
+
 userSchema.methods.comparePassword = async function(candidatePassword) {
   if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-userSchema.methods.getSignedJwtToken = function() {
+// Short-lived access token bound to a session (see models/Session)
+userSchema.methods.getSignedJwtToken = function(sessionId) {
   return require('jsonwebtoken').sign(
-    { id: this._id, role: this.role },
+    { id: this._id, role: this.role, sid: sessionId, tv: this.tokenVersion },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE }
+    { expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m' }
   );
 };
 
@@ -272,6 +352,11 @@ userSchema.methods.generateVerificationToken = function() {
 };
 
 // Static methods
+// Also exposed statically so a name can be picked before the document exists
+userSchema.statics.generateAnonymousName = generateAnonymousName;
+
+userSchema.statics.nextStreak = nextStreak;
+
 userSchema.statics.getTopContributors = function(limit = 10) {
   return this.aggregate([
     { $match: { isActive: true } },
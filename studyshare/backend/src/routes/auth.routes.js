@@ -0,0 +1,72 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const {
+  register,
+  login,
+  registerAnonymous,
+  upgradeAnonymous,
+  getMe,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  refresh,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeAllSessions
+} = require('../controllers/auth.controller');
+const { protect } = require('../middleware/auth.middleware');
+const validate = require('../middleware/validate.middleware');
+
+const router = express.Router();
+
+const emailRule = body('email').isEmail().withMessage('Please provide a valid email').normalizeEmail({ gmail_remove_dots: false });
+const passwordRule = (field = 'password') =>
+  body(field).isLength({ min: 6 }).withMessage('Password must be at least 6 characters');
+const usernameRule = body('username').optional()
+  .matches(/^[a-zA-Z0-9_]{3,30}$/).withMessage('Username must be 3-30 letters, numbers or underscores');
+
+router.post('/register', [
+  emailRule,
+  passwordRule(),
+  usernameRule,
+  body('displayName').trim().isLength({ min: 2, max: 50 }).withMessage('Display name must be between 2 and 50 characters')
+], validate, register);
+
+router.post('/login', [
+  emailRule,
+  body('password').notEmpty().withMessage('Password is required')
+], validate, login);
+
+router.post('/anonymous', registerAnonymous);
+
+router.post('/upgrade', protect, [
+  emailRule,
+  passwordRule(),
+  usernameRule,
+  body('displayName').optional().trim().isLength({ min: 2, max: 50 }).withMessage('Display name must be between 2 and 50 characters')
+], validate, upgradeAnonymous);
+
+router.get('/me', protect, getMe);
+
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], validate, refresh);
+router.post('/logout', protect, logout);
+
+router
+  .route('/sessions')
+  .get(protect, getSessions)
+  .delete(protect, revokeAllSessions);
+router.delete('/sessions/:id', protect, [
+  param('id').isMongoId().withMessage('Invalid session id')
+], validate, revokeSession);
+
+router.post('/forgot-password', [emailRule], validate, forgotPassword);
+router.put('/reset-password/:token', [passwordRule()], validate, resetPassword);
+
+router.get('/verify-email/:token', verifyEmail);
+router.post('/resend-verification', [emailRule], validate, resendVerification);
+
+module.exports = router;
@@ -0,0 +1,82 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  getCollections,
+  getSavedPosts,
+  createCollection,
+  getCollection,
+  updateCollection,
+  deleteCollection,
+  addItem,
+  updateItem,
+  removeItem,
+  reorderItems,
+  shareCollection,
+  unshareCollection,
+  getSharedCollection
+} = require('../controllers/collections.controller');
+const { protect } = require('../middleware/auth.middleware');
+const validate = require('../middleware/validate.middleware');
+const { COLLECTION_LIMITS } = require('../config/constants');
+
+const router = express.Router();
+
+// Anyone with the link, no account needed
+router.get('/shared/:token', [
+  param('token').isHexadecimal().isLength({ min: 32, max: 32 }).withMessage('Invalid share link')
+], validate, getSharedCollection);
+
+router.use(protect);
+
+const idRule = param('id').isMongoId().withMessage('Invalid collection id');
+const postIdRule = param('postId').isMongoId().withMessage('Invalid post id');
+const noteRule = (isRequired = false) =>
+  (isRequired ? body('note') : body('note').optional()).isString().trim().isLength({ max: 1000 })
+    .withMessage('Notes must be text of at most 1000 characters');
+
+// `optional` lets the same rules serve both create and rename
+const collectionRules = (isUpdate = false) => [
+  (isUpdate ? body('name').optional() : body('name')).isString().trim().isLength({ min: 1, max: 80 })
+    .withMessage('Name must be between 1 and 80 characters'),
+  body('description').optional().isString().trim().isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters')
+];
+
+router
+  .route('/')
+  .get([query('post').optional().isMongoId().withMessage('Invalid post id')], validate, getCollections)
+  .post(collectionRules(), validate, createCollection);
+
+router.get('/saved', [
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], validate, getSavedPosts);
+
+router
+  .route('/:id')
+  .get([idRule], validate, getCollection)
+  .put([idRule, ...collectionRules(true)], validate, updateCollection)
+  .delete([idRule], validate, deleteCollection);
+
+router.post('/:id/items', [
+  idRule,
+  body('postId').isMongoId().withMessage('Invalid post id'),
+  noteRule()
+], validate, addItem);
+
+router
+  .route('/:id/items/:postId')
+  .put([idRule, postIdRule, noteRule(true)], validate, updateItem)
+  .delete([idRule, postIdRule], validate, removeItem);
+
+router.put('/:id/order', [
+  idRule,
+  body('postIds').isArray({ max: COLLECTION_LIMITS.items }).withMessage('postIds must be an array'),
+  body('postIds.*').isMongoId().withMessage('Invalid post id')
+], validate, reorderItems);
+
+router
+  .route('/:id/share')
+  .post([idRule], validate, shareCollection)
+  .delete([idRule], validate, unshareCollection);
+
+module.exports = router;
@@ -0,0 +1,75 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  getPostComments,
+  getReplies,
+  createComment,
+  updateComment,
+  deleteComment,
+  acceptAnswer,
+  unacceptAnswer,
+  flagComment,
+  getCommentRevisions,
+  restoreCommentRevision
+} = require('../controllers/comments.controller');
+const { protect } = require('../middleware/auth.middleware');
+const validate = require('../middleware/validate.middleware');
+const { FLAG_REASONS } = require('../config/moderation');
+
+const router = express.Router();
+
+const contentRule = body('content').isString().trim().isLength({ min: 1, max: 2000 })
+  .withMessage('Comment must be between 1 and 2000 characters');
+
+const reasonRule = body('reason').optional().isString().trim().isLength({ max: 200 })
+  .withMessage('Reason must be at most 200 characters');
+
+const idRule = param('id').isMongoId().withMessage('Invalid comment id');
+
+const pageRules = [
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('repliesLimit').optional().isInt({ min: 0, max: 20 }).withMessage('repliesLimit must be between 0 and 20')
+];
+
+router.get('/post/:postId', [
+  param('postId').isMongoId().withMessage('Invalid post id'),
+  ...pageRules
+], validate, getPostComments);
+
+router.get('/:id/replies', [
+  param('id').isMongoId().withMessage('Invalid comment id'),
+  ...pageRules
+], validate, getReplies);
+
+router.post('/', protect, [
+  body('post').isMongoId().withMessage('Invalid post id'),
+  body('parentComment').optional({ nullable: true }).isMongoId().withMessage('Invalid parent comment id'),
+  body('isAnonymous').optional().isBoolean().withMessage('isAnonymous must be a boolean'),
+  contentRule
+], validate, createComment);
+
+router
+  .route('/:id')
+  .put(protect, [contentRule, reasonRule], validate, updateComment)
+  .delete(protect, deleteComment);
+
+router
+  .route('/:id/accept')
+  .post(protect, acceptAnswer)
+  .delete(protect, unacceptAnswer);
+
+router.get('/:id/revisions', protect, [idRule], validate, getCommentRevisions);
+
+router.post('/:id/revisions/:number/restore', protect, [
+  idRule,
+  param('number').isInt({ min: 1 }).withMessage('Invalid revision number'),
+  reasonRule
+], validate, restoreCommentRevision);
+
+router.post('/:id/flag', protect, [
+  param('id').isMongoId().withMessage('Invalid comment id'),
+  body('reason').isIn(FLAG_REASONS).withMessage(`Reason must be one of: ${FLAG_REASONS.join(', ')}`),
+  body('details').optional().isString().trim().isLength({ max: 500 }).withMessage('Details must be at most 500 characters')
+], validate, flagComment);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const { query } = require('express-validator');
+const { getFeed } = require('../controllers/feed.controller');
+const { protect } = require('../middleware/auth.middleware');
+const validate = require('../middleware/validate.middleware');
+
+const router = express.Router();
+
+router.get('/', protect, [
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], validate, getFeed);
+
+module.exports = router;
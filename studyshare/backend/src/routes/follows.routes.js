@@ -0,0 +1,35 @@
+const express = require('express');
+const { param } = require('express-validator');
+const {
+  getMyFollows,
+  followSubject,
+  unfollowSubject,
+  followTag,
+  unfollowTag
+} = require('../controllers/follows.controller');
+const { protect } = require('../middleware/auth.middleware');
+const validate = require('../middleware/validate.middleware');
+const { SUBJECTS, TAG_MAX_LENGTH } = require('../config/constants');
+
+const router = express.Router();
+
+router.use(protect);
+
+const subjectRule = param('topic').isIn(SUBJECTS).withMessage('Invalid subject');
+// Same limit as post tags, a longer one could never match a post
+const tagRule = param('topic').trim().toLowerCase().isLength({ min: 1, max: TAG_MAX_LENGTH })
+  .withMessage(`Tags must be between 1 and ${TAG_MAX_LENGTH} characters`);
+
+router.get('/', getMyFollows);
+
+router
+  .route('/subjects/:topic')
+  .post([subjectRule], validate, followSubject)
+  .delete([subjectRule], validate, unfollowSubject);
+
+router
+  .route('/tags/:topic')
+  .post([tagRule], validate, followTag)
+  .delete([tagRule], validate, unfollowTag);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const { query } = require('express-validator');
+const { getLeaderboard } = require('../controllers/leaderboards.controller');
+const { optionalAuth } = require('../middleware/auth.middleware');
+const validate = require('../middleware/validate.middleware');
+const { SUBJECTS, USER_GRADES, LEADERBOARD_WINDOWS } = require('../config/constants');
+
+const router = express.Router();
+
+const WINDOWS = Object.keys(LEADERBOARD_WINDOWS);
+
+router.get('/', optionalAuth, [
+  query('window').optional().isIn(WINDOWS).withMessage(`Window must be one of: ${WINDOWS.join(', ')}`),
+  query('subject').optional().isIn(SUBJECTS).withMessage('Invalid subject'),
+  query('grade').optional().isIn(USER_GRADES).withMessage('Invalid grade'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], validate, getLeaderboard);
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  getQueue,
+  getItem,
+  takeAction,
+  getLog,
+  getFilterEvents
+} = require('../controllers/moderation.controller');
+const { protect, requirePermission } = require('../middleware/auth.middleware');
+const validate = require('../middleware/validate.middleware');
+const { MODERATOR_ACTIONS } = require('../config/moderation');
+const { FILTER_ACTIONS: FILTER_VERDICTS } = require('../config/contentFilter');
+
+const router = express.Router();
+
+router.use(protect, requirePermission('moderation:queue'));
+
+const limitRule = query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50');
+const itemIdRule = param('id').isMongoId().withMessage('Invalid moderation item id');
+
+router.get('/queue', [
+  query('status').optional().isIn(['open', 'resolved']).withMessage('Status must be open or resolved'),
+  query('type').optional().isIn(['Post', 'Comment']).withMessage('Type must be Post or Comment'),
+  limitRule
+], validate, getQueue);
+
+router.get('/items/:id', [itemIdRule], validate, getItem);
+
+router.post('/items/:id/actions', requirePermission('moderation:resolve'), [
+  itemIdRule,
+  body('action').isIn(MODERATOR_ACTIONS).withMessage(`Action must be one of: ${MODERATOR_ACTIONS.join(', ')}`),
+  body('note').optional().isString().trim().isLength({ max: 1000 }).withMessage('Note must be at most 1000 characters'),
+  // Warnings go to the author, so they need to say what was wrong
+  body('note').if(body('action').equals('warn')).notEmpty().withMessage('A warning needs a note for the author')
+], validate, takeAction);
+
+router.get('/log', [
+  query('moderator').optional().isMongoId().withMessage('Invalid moderator id'),
+  query('target').optional().isMongoId().withMessage('Invalid target id'),
+  limitRule
+], validate, getLog);
+
+router.get('/filter-events', [
+  query('verdict').optional().isIn(FILTER_VERDICTS).withMessage(`Verdict must be one of: ${FILTER_VERDICTS.join(', ')}`),
+  query('user').optional().isMongoId().withMessage('Invalid user id'),
+  limitRule
+], validate, getFilterEvents);
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  getNotifications,
+  getUnreadCount,
+  markRead,
+  markAllRead,
+  getPreferences,
+  updatePreferences
+} = require('../controllers/notifications.controller');
+const { protect } = require('../middleware/auth.middleware');
+const validate = require('../middleware/validate.middleware');
+const Notification = require('../models/Notification');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/', [
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('unread').optional().isIn(['true', 'false']).withMessage('unread must be true or false')
+], validate, getNotifications);
+
+router.get('/unread-count', getUnreadCount);
+router.patch('/read-all', markAllRead);
+
+router
+  .route('/preferences')
+  .get(getPreferences)
+  .put(
+    [...Notification.PREFERENCE_TYPES, 'emailDigest'].map(key =>
+      body(key).optional().isBoolean().withMessage(`${key} must be a boolean`).toBoolean()
+    ),
+    validate,
+    updatePreferences
+  );
+
+router.patch('/:id/read', [
+  param('id').isMongoId().withMessage('Invalid notification id')
+], validate, markRead);
+
+module.exports = router;
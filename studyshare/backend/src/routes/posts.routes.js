@@ -0,0 +1,193 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  getPosts,
+  getPost,
+  createPost,
+  updatePost,
+  deletePost,
+  addModerationNote,
+  flagPost,
+  likePost,
+  unlikePost,
+  savePost,
+  unsavePost,
+  getRating,
+  ratePost,
+  removeRating,
+  getMindmap,
+  replaceMindmap,
+  addMindmapNode,
+  updateMindmapNode,
+  removeMindmapNode,
+  exportMindmap,
+  getDrafts,
+  autosaveDraft,
+  getRevisions,
+  getRevision,
+  restoreRevision,
+  redirectOldSlug
+} = require('../controllers/posts.controller');
+const { protect, optionalAuth, requirePermission } = require('../middleware/auth.middleware');
+const validate = require('../middleware/validate.middleware');
+const { SUBJECTS, POST_GRADES, POST_TYPES, POST_CATEGORIES } = require('../config/constants');
+const { FLAG_REASONS } = require('../config/moderation');
+const { MINDMAP_LIMITS, NODE_KEY, NODE_COLOR } = require('../utils/mindmap');
+const { EXPORT_FORMATS } = require('../services/mindmap.service');
+
+const router = express.Router();
+
+const listRules = [
+  query('subject').optional().isIn(SUBJECTS).withMessage('Invalid subject'),
+  query('grade').optional().isIn(POST_GRADES).withMessage('Invalid grade'),
+  query('postType').optional().isIn(POST_TYPES).withMessage('Invalid post type'),
+  query('category').optional().isIn(POST_CATEGORIES).withMessage('Invalid category'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+];
+
+const isDraft = (req) => req.body.status === 'draft';
+
+// `optional` lets the same rules serve both create and partial update
+const postRules = (isUpdate = false) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+  return [
+    field('title').isString().trim().isLength({ min: 5, max: 200 })
+      .withMessage('Title must be between 5 and 200 characters'),
+    // Mindmaps may leave the content out, their tree is the content; drafts may
+    // leave it out or keep it short
+    field('content').if((value, { req }) => value !== undefined || (req.body.postType !== 'mindmap' && !isDraft(req)))
+      .isString().isLength({ max: 10000 }).withMessage('Content cannot exceed 10000 characters')
+      .if((value, { req }) => !isDraft(req))
+      .isLength({ min: 10 }).withMessage('Content must be at least 10 characters'),
+    field('subject').isIn(SUBJECTS).withMessage('Invalid subject'),
+    body('postType').optional().isIn(POST_TYPES).withMessage('Invalid post type'),
+    body('grade').optional().isIn(POST_GRADES).withMessage('Invalid grade'),
+    body('category').optional().isIn(POST_CATEGORIES).withMessage('Invalid category'),
+    body('tags').optional().isArray({ max: 10 }).withMessage('Tags must be an array of at most 10 items'),
+    body('isAnonymous').optional().isBoolean().withMessage('isAnonymous must be a boolean'),
+    body('attachments').optional().isArray({ max: 10 }).withMessage('At most 10 attachments are allowed'),
+    body('attachments.*').isMongoId().withMessage('Attachments must be upload ids'),
+    (isUpdate ? body('mindmap').optional() : body('mindmap').if(body('postType').equals('mindmap')).if((value, { req }) => !isDraft(req)))
+      .isObject().withMessage('Mindmap posts need a mindmap with nodes'),
+    body('mindmap.nodes').if(body('mindmap').exists()).isArray({ min: 1, max: MINDMAP_LIMITS.nodes })
+      .withMessage(`A mindmap needs 1 to ${MINDMAP_LIMITS.nodes} nodes`)
+  ];
+};
+
+// The tree itself is checked in utils/mindmap; these cover single-node edits
+const nodeRules = (isUpdate = false) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+  return [
+    field('label').isString().trim().isLength({ min: 1, max: MINDMAP_LIMITS.label })
+      .withMessage(`Labels must be between 1 and ${MINDMAP_LIMITS.label} characters`),
+    field('parent').matches(NODE_KEY).withMessage('Invalid parent node'),
+    body('color').optional({ nullable: true }).matches(NODE_COLOR).withMessage('Colors must look like #RRGGBB'),
+    body('link').optional({ nullable: true }).isMongoId().withMessage('Links must be post ids'),
+    body('position').optional().isInt({ min: 0 }).withMessage('Position must be a whole number from 0').toInt()
+  ];
+};
+
+const nodeKeyRule = param('key').matches(NODE_KEY).withMessage('Invalid node key');
+
+const reasonRule = body('reason').optional().isString().trim().isLength({ max: 200 })
+  .withMessage('Reason must be at most 200 characters');
+
+const revisionRule = param('number').isInt({ min: 1 }).withMessage('Invalid revision number').toInt();
+
+// Autosaves take whatever the editor holds, so only types and maximum lengths are checked
+const autosaveRules = [
+  body('title').optional().isString().trim().isLength({ min: 5, max: 200 })
+    .withMessage('Title must be between 5 and 200 characters'),
+  body('content').optional().isString().isLength({ max: 10000 })
+    .withMessage('Content cannot exceed 10000 characters'),
+  body('excerpt').optional().isString().isLength({ max: 300 })
+    .withMessage('Excerpt cannot exceed 300 characters'),
+  body('subject').optional().isIn(SUBJECTS).withMessage('Invalid subject'),
+  body('postType').optional().isIn(POST_TYPES).withMessage('Invalid post type'),
+  body('grade').optional().isIn(POST_GRADES).withMessage('Invalid grade'),
+  body('category').optional().isIn(POST_CATEGORIES).withMessage('Invalid category'),
+  body('tags').optional().isArray({ max: 10 }).withMessage('Tags must be an array of at most 10 items'),
+  body('mindmap.nodes').optional().isArray({ min: 1, max: MINDMAP_LIMITS.nodes })
+    .withMessage(`A mindmap needs 1 to ${MINDMAP_LIMITS.nodes} nodes`),
+  body('lastSavedAt').optional().isISO8601().withMessage('lastSavedAt must be a date')
+];
+
+router.param('slug', redirectOldSlug);
+
+router
+  .route('/')
+  .get(listRules, validate, getPosts)
+  .post(protect, postRules(), validate, createPost);
+
+router.get('/drafts', protect, [
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], validate, getDrafts);
+
+router
+  .route('/:slug')
+  .get(optionalAuth, getPost)
+  .put(protect, [...postRules(true), reasonRule], validate, updatePost)
+  .delete(protect, deletePost);
+
+router.put('/:slug/autosave', protect, autosaveRules, validate, autosaveDraft);
+
+router.get('/:slug/revisions', protect, [
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], validate, getRevisions);
+
+router.get('/:slug/revisions/:number', protect, [
+  revisionRule,
+  query('against').optional().isInt({ min: 1 }).withMessage('Invalid revision number').toInt()
+], validate, getRevision);
+
+router.post('/:slug/revisions/:number/restore', protect, [revisionRule, reasonRule], validate, restoreRevision);
+
+router
+  .route('/:slug/like')
+  .post(protect, likePost)
+  .delete(protect, unlikePost);
+
+router
+  .route('/:slug/save')
+  .post(protect, savePost)
+  .delete(protect, unsavePost);
+
+router
+  .route('/:slug/mindmap')
+  .get(optionalAuth, getMindmap)
+  .put(protect, [
+    body('nodes').isArray({ min: 1, max: MINDMAP_LIMITS.nodes })
+      .withMessage(`A mindmap needs 1 to ${MINDMAP_LIMITS.nodes} nodes`)
+  ], validate, replaceMindmap);
+
+router.get('/:slug/mindmap/export', optionalAuth, [
+  query('format').optional().isIn(Object.keys(EXPORT_FORMATS))
+    .withMessage(`Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`)
+], validate, exportMindmap);
+
+router.post('/:slug/mindmap/nodes', protect, nodeRules(), validate, addMindmapNode);
+
+router
+  .route('/:slug/mindmap/nodes/:key')
+  .patch(protect, [nodeKeyRule, ...nodeRules(true)], validate, updateMindmapNode)
+  .delete(protect, [nodeKeyRule], validate, removeMindmapNode);
+
+router
+  .route('/:slug/rating')
+  .get(optionalAuth, getRating)
+  .put(protect, [
+    body('value').isInt({ min: 1, max: 5 }).withMessage('Rating must be a whole number between 1 and 5').toInt()
+  ], validate, ratePost)
+  .delete(protect, removeRating);
+
+router.post('/:slug/flag', protect, [
+  body('reason').isIn(FLAG_REASONS).withMessage(`Reason must be one of: ${FLAG_REASONS.join(', ')}`),
+  body('details').optional().isString().trim().isLength({ max: 500 }).withMessage('Details must be at most 500 characters')
+], validate, flagPost);
+
+router.post('/:slug/moderation-notes', protect, requirePermission('moderation:note'), [
+  body('note').isString().trim().isLength({ min: 1, max: 1000 }).withMessage('Note must be between 1 and 1000 characters'),
+  body('action').optional().isString().trim()
+], validate, addModerationNote);
+
+module.exports = router;
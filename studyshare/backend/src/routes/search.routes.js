@@ -0,0 +1,20 @@
+const express = require('express');
+const { query } = require('express-validator');
+const { search } = require('../controllers/search.controller');
+const validate = require('../middleware/validate.middleware');
+const { SUBJECTS, POST_GRADES, POST_TYPES, POST_CATEGORIES } = require('../config/constants');
+
+const router = express.Router();
+
+router.get('/', [
+  query('q').isString().trim().isLength({ min: 2, max: 100 }).withMessage('Search query must be between 2 and 100 characters'),
+  query('type').optional().isIn(['posts', 'users']).withMessage('Type must be posts or users'),
+  query('subject').optional().isIn(SUBJECTS).withMessage('Invalid subject'),
+  query('grade').optional().isIn(POST_GRADES).withMessage('Invalid grade'),
+  query('postType').optional().isIn(POST_TYPES).withMessage('Invalid post type'),
+  query('category').optional().isIn(POST_CATEGORIES).withMessage('Invalid category'),
+  query('page').optional().isInt({ min: 1, max: 100 }).withMessage('Page must be between 1 and 100'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], validate, search);
+
+module.exports = router;
@@ -0,0 +1,43 @@
+const express = require('express');
+const multer = require('multer');
+const { param } = require('express-validator');
+const {
+  uploadFile,
+  getUploads,
+  deleteUpload
+} = require('../controllers/upload.controller');
+const { protect } = require('../middleware/auth.middleware');
+const validate = require('../middleware/validate.middleware');
+const ErrorResponse = require('../utils/ErrorResponse');
+const { getMaxFileSize } = require('../services/upload.service');
+
+const router = express.Router();
+
+// Files are kept in memory so their magic bytes can be checked before storing
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: getMaxFileSize(), files: 1 }
+});
+
+const singleFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return next(new ErrorResponse(error.message, status));
+    }
+    next(error);
+  });
+};
+
+router.use(protect);
+
+router
+  .route('/')
+  .get(getUploads)
+  .post(singleFile, uploadFile);
+
+router.delete('/:id', [
+  param('id').isMongoId().withMessage('Invalid upload id')
+], validate, deleteUpload);
+
+module.exports = router;
@@ -0,0 +1,81 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  getProfile,
+  getUserPosts,
+  getUserComments,
+  getUserActivity,
+  updatePrivacy,
+  updateUserRole,
+  updateUserStatus,
+  getPointsHistory,
+  recomputePoints,
+  adjustPoints,
+  reconcileStats,
+  getStatsReconciliation
+} = require('../controllers/users.controller');
+const {
+  followUser,
+  unfollowUser,
+  getFollowers,
+  getFollowing
+} = require('../controllers/follows.controller');
+const { protect, optionalAuth, requirePermission } = require('../middleware/auth.middleware');
+const validate = require('../middleware/validate.middleware');
+const { ROLES } = require('../config/permissions');
+
+const router = express.Router();
+
+const idRule = param('id').isMongoId().withMessage('Invalid user id');
+
+const pageRule = query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50');
+
+router.put('/me/privacy', protect, [
+  body('profileVisibility').optional().isIn(['public', 'friends', 'private'])
+    .withMessage('Profile visibility must be public, friends or private'),
+  body('showEmail').optional().isBoolean().withMessage('showEmail must be a boolean').toBoolean(),
+  body('showActivity').optional().isBoolean().withMessage('showActivity must be a boolean').toBoolean()
+], validate, updatePrivacy);
+
+router
+  .route('/stats/reconcile')
+  .get(protect, requirePermission('stats:reconcile'), getStatsReconciliation)
+  .post(protect, requirePermission('stats:reconcile'), [
+    body('fix').optional().isBoolean().withMessage('fix must be a boolean').toBoolean()
+  ], validate, reconcileStats);
+
+router.get('/:id', optionalAuth, [idRule], validate, getProfile);
+router.get('/:id/posts', optionalAuth, [idRule, pageRule], validate, getUserPosts);
+router.get('/:id/comments', optionalAuth, [idRule, pageRule], validate, getUserComments);
+router.get('/:id/activity', optionalAuth, [idRule], validate, getUserActivity);
+
+router.put('/:id/role', protect, requirePermission('user:change-role'), [
+  idRule,
+  body('role').isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`)
+], validate, updateUserRole);
+
+router.put('/:id/status', protect, requirePermission('user:deactivate'), [
+  idRule,
+  body('isActive').isBoolean().withMessage('isActive must be a boolean').toBoolean()
+], validate, updateUserStatus);
+
+router
+  .route('/:id/follow')
+  .post(protect, [idRule], validate, followUser)
+  .delete(protect, [idRule], validate, unfollowUser);
+
+router.get('/:id/followers', optionalAuth, [idRule, pageRule], validate, getFollowers);
+router.get('/:id/following', optionalAuth, [idRule, pageRule], validate, getFollowing);
+
+router.get('/:id/points', protect, [idRule], validate, getPointsHistory);
+
+router.post('/:id/points/recompute', protect, requirePermission('points:manage'), [idRule], validate, recomputePoints);
+
+router.post('/:id/points/adjust', protect, requirePermission('points:manage'), [
+  idRule,
+  body('amount').isInt().withMessage('Amount must be an integer').toInt()
+    .custom(value => value !== 0).withMessage('Amount cannot be zero'),
+  body('note').trim().isLength({ min: 3, max: 500 }).withMessage('A note of 3 to 500 characters is required')
+], validate, adjustPoints);
+
+module.exports = router;
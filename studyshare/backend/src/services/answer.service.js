@@ -0,0 +1,132 @@
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const ErrorResponse = require('../utils/ErrorResponse');
+const realtime = require('../sockets/realtime');
+const notificationService = require('./notification.service');
+const gamificationService = require('./gamification.service');
+const { POINTS } = require('../config/constants');
+
+// Accepted answers count towards helpfulness, which never drops below zero.
+// Only active comments count; Comment.syncAuthorStats covers status changes.
+const adjustHelpfulness = (comment, delta) => {
+  if (comment.status !== 'active') return null;
+  return User.updateOne(
+    { _id: comment.author },
+    [{
+      $set: {
+        'stats.helpfullnessScore': { $max: [0, { $add: ['$stats.helpfullnessScore', delta] }] }
+      }
+    }]
+  );
+};
+
+// Called by whoever flipped the comment's isAcceptedAnswer flag, so the
+// helpfulness change happens once; the ledger dedupes awards and reversals
+const creditAnswerer = async (comment, post) => {
+  await gamificationService.award(
+    comment.author,
+    POINTS.acceptedAnswer,
+    'answer_accepted',
+    { kind: 'Comment', id: comment._id },
+    { post: post._id, subject: post.subject }
+  );
+  await adjustHelpfulness(comment, 1);
+};
+
+const debitAnswerer = async (comment) => {
+  await gamificationService.reverseForSource(comment._id, 'answer unaccepted', {
+    reason: 'answer_accepted'
+  });
+  await adjustHelpfulness(comment, -1);
+};
+
+// Clear the flag of a comment that is no longer the accepted answer
+const unflagAnswer = async (commentId) => {
+  const comment = await Comment.findOneAndUpdate(
+    { _id: commentId, isAcceptedAnswer: true },
+    { isAcceptedAnswer: false }
+  );
+  if (comment) await debitAnswerer(comment);
+};
+
+// The post's acceptedAnswer is switched with a compare-and-swap, so of two
+// racing accepts only one wins. The comment flags, points and helpfulness
+// follow with conditional updates that are safe to repeat: accepting the
+// current answer again finishes whatever an interrupted accept left undone.
+const acceptAnswer = async (postId, commentId, acceptedBy) => {
+  const post = await Post.findById(postId);
+  const comment = await Comment.findById(commentId);
+  const previousId = post.acceptedAnswer || null;
+
+  if (!(previousId && previousId.equals(comment._id))) {
+    const switched = await Post.updateOne(
+      { _id: post._id, acceptedAnswer: previousId },
+      { acceptedAnswer: comment._id, isSolved: true }
+    );
+    if (!switched.modifiedCount) {
+      throw new ErrorResponse('The accepted answer was just changed, please reload and try again', 409);
+    }
+    if (previousId) await unflagAnswer(previousId);
+  }
+
+  const accepted = await Comment.findOneAndUpdate(
+    { _id: comment._id, isAcceptedAnswer: { $ne: true } },
+    { isAcceptedAnswer: true }
+  );
+  if (accepted) await creditAnswerer(accepted, post);
+
+  // A racing accept may have moved the post on while this one was flagging
+  const stillAccepted = await Post.exists({ _id: post._id, acceptedAnswer: comment._id });
+  if (!stillAccepted) await unflagAnswer(comment._id);
+
+  const result = { post, comment, changed: Boolean(accepted && stillAccepted) };
+
+  if (result.changed) {
+    realtime.emitToPost(postId, 'answer_accepted', {
+      postId,
+      commentId: result.comment._id,
+      isSolved: true
+    });
+
+    await notificationService.notifySafely({
+      recipient: result.comment.author,
+      type: 'answer_accepted',
+      actor: acceptedBy,
+      // The asker of an anonymous question stays anonymous
+      actorIsAnonymous: result.post.isAnonymous && result.post.author.equals(acceptedBy._id),
+      post: result.post,
+      comment: result.comment,
+      message: 'accepted your answer',
+      data: { points: POINTS.acceptedAnswer }
+    });
+
+    gamificationService.checkBadgesSafely(result.comment.author, ['acceptedAnswers']);
+  }
+
+  return result;
+};
+
+const unacceptAnswer = async (postId, commentId) => {
+  const post = await Post.findOneAndUpdate(
+    { _id: postId, acceptedAnswer: commentId },
+    { $unset: { acceptedAnswer: 1 }, isSolved: false }
+  );
+
+  if (!post) {
+    throw new ErrorResponse('This comment is not the accepted answer', 400);
+  }
+
+  await unflagAnswer(commentId);
+
+  realtime.emitToPost(postId, 'answer_unaccepted', {
+    postId,
+    commentId,
+    isSolved: false
+  });
+};
+
+module.exports = {
+  acceptAnswer,
+  unacceptAnswer
+};
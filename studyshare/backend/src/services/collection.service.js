@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const Collection = require('../models/Collection');
+const Post = require('../models/Post');
+const ErrorResponse = require('../utils/ErrorResponse');
+const engagementService = require('./engagement.service');
+const { COLLECTION_LIMITS } = require('../config/constants');
+
+const POST_FIELDS = 'title slug excerpt postType subject grade tags author authorName authorAvatar isAnonymous ' +
+  'likesCount savesCount views rating isSolved publishedAt';
+
+const OWNER_FIELDS = 'displayName username avatar isAnonymous';
+
+const findOwned = async (userId, collectionId) => {
+  const collection = await Collection.findOne({ _id: collectionId, owner: userId });
+
+  if (!collection) {
+    throw new ErrorResponse('Collection not found', 404);
+  }
+
+  return collection;
+};
+
+const hasPost = (collection, postId) =>
+  collection.items.some(item => item.post.equals(postId));
+
+const createCollection = async (userId, { name, description }) => {
+  const count = await Collection.countDocuments({ owner: userId });
+  if (count >= COLLECTION_LIMITS.collections) {
+    throw new ErrorResponse(`You can have at most ${COLLECTION_LIMITS.collections} collections`, 400);
+  }
+
+  return Collection.create({ owner: userId, name, description });
+};
+
+const updateCollection = async (userId, collectionId, changes) => {
+  const collection = await findOwned(userId, collectionId);
+
+  ['name', 'description'].forEach(field => {
+    if (changes[field] !== undefined) collection[field] = changes[field];
+  });
+  return collection.save();
+};
+
+// Deleting a collection leaves its posts saved
+const deleteCollection = async (userId, collectionId) => {
+  const collection = await findOwned(userId, collectionId);
+  await collection.deleteOne();
+};
+
+// Add a published post to a collection. The post is saved first, through the
+// regular save action, so savesCount and the author's stats stay right.
+// Returns false when the post was already in the collection.
+const addItem = async (user, collectionId, postId, note = '') => {
+  const collection = await findOwned(user._id, collectionId);
+  if (hasPost(collection, postId)) return false;
+
+  if (collection.items.length >= COLLECTION_LIMITS.items) {
+    throw new ErrorResponse(`A collection can hold at most ${COLLECTION_LIMITS.items} posts`, 400);
+  }
+
+  const post = await Post.findOne({ _id: postId, status: 'published' })
+    .select('author slug title subject likesCount savesCount');
+
+  if (!post) {
+    throw new ErrorResponse('Post not found', 404);
+  }
+
+  await engagementService.setReaction(post, user, 'save', true);
+
+  // The conditions repeat the checks above for requests racing this one
+  const result = await Collection.updateOne(
+    {
+      _id: collection._id,
+      'items.post': { $ne: post._id },
+      [`items.${COLLECTION_LIMITS.items - 1}`]: { $exists: false }
+    },
+    { $push: { items: { post: post._id, note, addedAt: new Date() } } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Take a post out of one collection. It stays saved (and in other collections);
+// unsaving the post is what removes it everywhere.
+const removeItem = async (userId, collectionId, postId) => {
+  const collection = await findOwned(userId, collectionId);
+  const result = await Collection.updateOne(
+    { _id: collection._id },
+    { $pull: { items: { post: postId } } }
+  );
+  return result.modifiedCount > 0;
+};
+
+const updateNote = async (userId, collectionId, postId, note) => {
+  const result = await Collection.updateOne(
+    { _id: collectionId, owner: userId, 'items.post': postId },
+    { $set: { 'items.$.note': note } }
+  );
+
+  if (!result.matchedCount) {
+    throw new ErrorResponse('Post not found in this collection', 404);
+  }
+};
+
+// `postIds` must list every post of the collection exactly once, in the new order
+const reorderItems = async (userId, collectionId, postIds) => {
+  const collection = await findOwned(userId, collectionId);
+  const byPost = new Map(collection.items.map(item => [item.post.toString(), item]));
+  const ordered = [...new Set(postIds.map(String))].map(id => byPost.get(id));
+
+  if (ordered.length !== postIds.length || ordered.length !== byPost.size || ordered.includes(undefined)) {
+    throw new ErrorResponse('postIds must list every post in the collection exactly once', 400);
+  }
+
+  // Conditional on updatedAt so a post added meanwhile isn't dropped
+  const result = await Collection.updateOne(
+    { _id: collection._id, updatedAt: collection.updatedAt },
+    { $set: { items: ordered.map(item => item.toObject()) } }
+  );
+
+  if (!result.matchedCount) {
+    throw new ErrorResponse('The collection changed in the meantime, reload it and try again', 409);
+  }
+};
+
+// Share as a read-only link; sharing again keeps the existing link
+const shareCollection = async (userId, collectionId) => {
+  const collection = await findOwned(userId, collectionId);
+
+  if (!collection.shareToken) {
+    collection.shareToken = crypto.randomBytes(16).toString('hex');
+    collection.sharedAt = new Date();
+    await collection.save();
+  }
+
+  return collection.shareToken;
+};
+
+// Turning sharing off invalidates the link for good
+const unshareCollection = async (userId, collectionId) => {
+  const collection = await findOwned(userId, collectionId);
+  await Collection.updateOne(
+    { _id: collection._id },
+    { $unset: { shareToken: 1, sharedAt: 1 } }
+  );
+};
+
+// The owner's view: items whose post is no longer published keep their
+// place with `post: null`, so reordering still covers every item
+const getCollection = async (userId, collectionId) => {
+  const collection = await Collection.findOne({ _id: collectionId, owner: userId })
+    .populate({ path: 'items.post', select: POST_FIELDS, match: { status: 'published' } });
+
+  if (!collection) {
+    throw new ErrorResponse('Collection not found', 404);
+  }
+
+  return collection;
+};
+
+// What anyone with the link sees: published posts only, without the owner's notes
+const getSharedCollection = async (token) => {
+  const collection = await Collection.findOne({ shareToken: token })
+    .populate({ path: 'items.post', select: POST_FIELDS, match: { status: 'published' } })
+    .populate('owner', OWNER_FIELDS);
+
+  if (!collection || !collection.owner) {
+    throw new ErrorResponse('Collection not found', 404);
+  }
+
+  const items = collection.items
+    .filter(item => item.post)
+    .map(item => ({ post: item.post, addedAt: item.addedAt }));
+
+  return {
+    _id: collection._id,
+    name: collection.name,
+    description: collection.description,
+    owner: collection.owner,
+    items,
+    itemsCount: items.length,
+    sharedAt: collection.sharedAt,
+    updatedAt: collection.updatedAt
+  };
+};
+
+module.exports = {
+  createCollection,
+  updateCollection,
+  deleteCollection,
+  addItem,
+  removeItem,
+  updateNote,
+  reorderItems,
+  shareCollection,
+  unshareCollection,
+  getCollection,
+  getSharedCollection
+};
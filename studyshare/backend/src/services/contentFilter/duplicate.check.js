@@ -0,0 +1,33 @@
+const Post = require('../../models/Post');
+const Comment = require('../../models/Comment');
+const { toWords } = require('./text');
+
+const MODELS = { Post, Comment };
+
+// The same text posted again by the same author, however it is spaced or spelled
+const run = async ({ user, targetType, targetId, content }, { windowMs, lookback, minWords }) => {
+  const words = toWords(content);
+  if (words.length < minWords) return null;
+
+  const fingerprint = words.join(' ');
+  const recent = await MODELS[targetType].find({
+    author: user._id,
+    _id: { $ne: targetId },
+    status: { $ne: 'deleted' },
+    createdAt: { $gte: new Date(Date.now() - windowMs) }
+  })
+    .sort({ createdAt: -1 })
+    .limit(lookback)
+    .select('content');
+
+  const duplicate = recent.find(doc => toWords(doc.content).join(' ') === fingerprint);
+  if (!duplicate) return null;
+
+  return {
+    reason: 'duplicate',
+    message: `You already posted this ${targetType === 'Post' ? 'post' : 'comment'}`,
+    matches: [duplicate._id.toString()]
+  };
+};
+
+module.exports = { run };
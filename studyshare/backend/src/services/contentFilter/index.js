@@ -0,0 +1,72 @@
+// Content checks share one interface:
+//   run(input, options) -> Promise<null | { reason, message, matches?, statusCode? }>
+// where input is { user, targetType, targetId, isNew, text, content } and
+// options the check's settings from config/contentFilter. A check returns
+// null when it has nothing to say; what happens otherwise is the check's
+// configured action. register() adds or replaces a check.
+
+const FilterEvent = require('../../models/FilterEvent');
+const ErrorResponse = require('../../utils/ErrorResponse');
+const { hasPermission } = require('../../config/permissions');
+const { CHECKS, getAction, getEnabledChecks } = require('../../config/contentFilter');
+
+const checks = {
+  rate: require('./rate.check'),
+  duplicate: require('./duplicate.check'),
+  links: require('./links.check'),
+  profanity: require('./profanity.check')
+};
+
+const SEVERITY = { allow: 0, flag: 1, reject: 2 };
+const EXCERPT_LENGTH = 300;
+
+const register = (name, check, options = {}) => {
+  checks[name] = check;
+  CHECKS[name] = { action: 'flag', ...CHECKS[name], ...options };
+};
+
+const record = ({ user, targetType, targetId, isNew, text }, verdict, results) =>
+  FilterEvent.create({
+    user: user._id,
+    targetType,
+    target: verdict === 'reject' ? undefined : targetId,
+    onCreate: isNew,
+    verdict,
+    results: results.map(({ check, action, reason, matches }) => ({ check, action, reason, matches })),
+    excerpt: text.slice(0, EXCERPT_LENGTH)
+  });
+
+// Run the enabled checks on a post or comment about to be saved. Throws when
+// a check rejects it; otherwise returns the verdict ('flag' means save it as
+// flagged and queue it) and what the checks found.
+const screen = async (input) => {
+  if (hasPermission(input.user, 'content:bypass-filter')) {
+    return { verdict: 'allow', results: [] };
+  }
+
+  const results = [];
+  for (const name of getEnabledChecks()) {
+    if (!checks[name]) continue;
+    const finding = await checks[name].run(input, CHECKS[name] || {});
+    if (finding) results.push({ check: name, action: getAction(name), ...finding });
+  }
+
+  const verdict = results.reduce(
+    (strongest, { action }) => (SEVERITY[action] > SEVERITY[strongest] ? action : strongest),
+    'allow'
+  );
+
+  if (results.length) await record(input, verdict, results);
+
+  if (verdict === 'reject') {
+    const rejection = results.find(result => result.action === 'reject');
+    throw new ErrorResponse(rejection.message, rejection.statusCode || 400);
+  }
+
+  return { verdict, results };
+};
+
+module.exports = {
+  register,
+  screen
+};
@@ -0,0 +1,39 @@
+// Full URLs, www. addresses and bare domains on common TLDs ("bit.ly/x")
+const LINK_PATTERN = /(?:https?:\/\/|www\.)[^\s<>"')]+|\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|info|xyz|ly|me|io|co|gg|link|click|top)\b(?:\/[^\s<>"')]*)?/gi;
+
+const hostOf = (link) => {
+  try {
+    const url = new URL(/^https?:\/\//i.test(link) ? link : `http://${link}`);
+    return url.hostname.replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+};
+
+const isBlocked = (host, blockedDomains) =>
+  blockedDomains.some(domain => host === domain || host.endsWith(`.${domain}`));
+
+// Link spam: blocked sites, too many links, or links from brand new accounts
+const run = async ({ text, user }, { maxLinks, newAccountMs, blockedDomains }) => {
+  const links = [...new Set(text.match(LINK_PATTERN) || [])];
+  if (!links.length) return null;
+
+  const hosts = [...new Set(links.map(hostOf).filter(Boolean))];
+
+  const blocked = hosts.filter(host => isBlocked(host, blockedDomains));
+  if (blocked.length) {
+    return { reason: 'blocked_link', message: 'Links to this site are not allowed', matches: blocked };
+  }
+
+  if (links.length > maxLinks) {
+    return { reason: 'too_many_links', message: `Please include at most ${maxLinks} links`, matches: hosts };
+  }
+
+  if (Date.now() - user.createdAt < newAccountMs) {
+    return { reason: 'new_account_links', message: 'New accounts cannot post links yet', matches: hosts };
+  }
+
+  return null;
+};
+
+module.exports = { run };
@@ -0,0 +1,18 @@
+const { ARABIC, ARABIC_EXACT, ENGLISH } = require('../../config/wordlists');
+const { createMatcher } = require('./text');
+
+const matcher = createMatcher([...ARABIC, ...ENGLISH], { exact: ARABIC_EXACT });
+
+// Insults and vulgar words in Arabic or English, including disguised spellings
+const run = async ({ text }) => {
+  const matches = matcher.find(text);
+  if (!matches.length) return null;
+
+  return {
+    reason: 'profanity',
+    message: 'Please keep your language respectful',
+    matches
+  };
+};
+
+module.exports = { run };
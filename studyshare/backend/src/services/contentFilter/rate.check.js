@@ -0,0 +1,24 @@
+const Post = require('../../models/Post');
+const Comment = require('../../models/Comment');
+
+const MODELS = { Post, Comment };
+
+// Rapid-fire posting: too many new posts or comments in a short window
+const run = async ({ user, targetType, isNew }, { limits }) => {
+  if (!isNew) return null;
+
+  const { max, windowMs } = limits[targetType];
+  const count = await MODELS[targetType].countDocuments({
+    author: user._id,
+    createdAt: { $gte: new Date(Date.now() - windowMs) }
+  });
+  if (count < max) return null;
+
+  return {
+    reason: 'rate_limited',
+    message: 'You are posting too fast, please wait a moment',
+    statusCode: 429
+  };
+};
+
+module.exports = { run };
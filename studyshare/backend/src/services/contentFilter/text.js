@@ -0,0 +1,110 @@
+// Text normalization for the content checks. On top of the Arabic search
+// normalization it undoes the usual tricks to get words past a filter:
+// look-alike letters from other scripts, leetspeak, invisible characters,
+// letters split by dots or spaces and stretched words.
+
+const { normalizeArabic, stemArabic } = require('../../utils/arabic');
+
+const INVISIBLE = /[\u00AD\u200B-\u200F\u2060\uFEFF]/g;
+
+// Persian/Urdu letters and Cyrillic/Greek look-alikes
+const CONFUSABLES = {
+  'ک': 'ك', 'گ': 'ك', 'ی': 'ي', 'ې': 'ي', 'ۍ': 'ي', 'ە': 'ه', 'ۀ': 'ه', 'ہ': 'ه', 'ھ': 'ه',
+  'پ': 'ب', 'چ': 'ج', 'ژ': 'ز', 'ڤ': 'ف', 'ڨ': 'ق',
+  'а': 'a', 'е': 'e', 'о': 'o', 'р': 'p', 'с': 'c', 'х': 'x', 'у': 'y', 'і': 'i', 'ѕ': 's',
+  'ο': 'o', 'α': 'a', 'ε': 'e', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'τ': 't'
+};
+const CONFUSABLE_PATTERN = new RegExp(`[${Object.keys(CONFUSABLES).join('')}]`, 'g');
+
+const LEET = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '@': 'a', '$': 's' };
+
+const MIN_SPLIT_RUN = 3;
+
+// One whitespace separated chunk to a bare word ("F.u.c.k" -> "fuck")
+const cleanChunk = (chunk) => {
+  let word = normalizeArabic(chunk.normalize('NFKC').replace(INVISIBLE, '').toLowerCase())
+    .replace(CONFUSABLE_PATTERN, letter => CONFUSABLES[letter]);
+
+  if (/[a-z]/.test(word)) {
+    word = word
+      .replace(/[0134578@$]/g, symbol => LEET[symbol])
+      .replace(/(?<=\p{L})!(?=\p{L})/gu, 'i');
+  }
+
+  return word.replace(/[^\p{L}]+/gu, '');
+};
+
+// Normalized words of a text; runs of single letters ("f u c k") are joined
+const toWords = (text = '') => {
+  const words = String(text).split(/\s+/).map(cleanChunk).filter(Boolean);
+  const result = [];
+  let run = [];
+
+  const flush = () => {
+    result.push(run.length >= MIN_SPLIT_RUN ? run.join('') : run);
+    run = [];
+  };
+
+  words.forEach(word => {
+    if (word.length === 1) {
+      run.push(word);
+      return;
+    }
+    if (run.length) flush();
+    result.push(word);
+  });
+  if (run.length) flush();
+
+  return result.flat();
+};
+
+// "fuuuck" -> "fuck"; kept for entries long enough not to collide ("ass" vs "as")
+const squeeze = (word) => word.replace(/(\p{L})\1+/gu, '$1');
+const MIN_SQUEEZED_LENGTH = 4;
+
+// Whole-word matcher over a word list; returns the list entries found.
+// `exact` entries are single words that only match as written, not by stem.
+const createMatcher = (entries, { exact = [] } = {}) => {
+  const exactWords = new Map(exact.map(entry => [toWords(entry)[0], entry]));
+  const words = new Map();
+  const squeezed = new Map();
+  const phrases = [];
+
+  entries.forEach(entry => {
+    const parts = toWords(entry);
+    if (parts.length > 1) {
+      phrases.push([` ${parts.map(squeeze).join(' ')} `, entry]);
+      return;
+    }
+    words.set(parts[0], entry);
+    if (squeeze(parts[0]).length >= MIN_SQUEEZED_LENGTH) squeezed.set(squeeze(parts[0]), entry);
+  });
+
+  const matchWord = (word) => {
+    if (exactWords.has(word)) return exactWords.get(word);
+    for (const candidate of new Set([word, stemArabic(word)])) {
+      if (words.has(candidate)) return words.get(candidate);
+      if (squeezed.has(squeeze(candidate))) return squeezed.get(squeeze(candidate));
+    }
+    return null;
+  };
+
+  const find = (text) => {
+    const textWords = toWords(text);
+    const found = new Set(textWords.map(matchWord).filter(Boolean));
+
+    const joined = ` ${textWords.map(squeeze).join(' ')} `;
+    phrases.forEach(([phrase, entry]) => {
+      if (joined.includes(phrase)) found.add(entry);
+    });
+
+    return [...found];
+  };
+
+  return { find };
+};
+
+module.exports = {
+  toWords,
+  createMatcher
+};
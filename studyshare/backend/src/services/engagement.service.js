@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const Reaction = require('../models/Reaction');
+const Collection = require('../models/Collection');
+const PostView = require('../models/PostView');
+const PostRead = require('../models/PostRead');
+const realtime = require('../sockets/realtime');
+const notificationService = require('./notification.service');
+const gamificationService = require('./gamification.service');
+const { POINTS } = require('../config/constants');
+
+const COUNTERS = {
+  like: { post: 'likesCount', author: 'stats.likesReceived', points: POINTS.likeReceived, reason: 'like_received' },
+  save: { post: 'savesCount', author: 'stats.savesReceived', points: POINTS.saveReceived, reason: 'save_received' }
+};
+
+const isDuplicateKey = (error) => error && error.code === 11000;
+
+// Insert or delete the reaction; only a real change touches the counters,
+// so repeating a like/unlike (or racing two of them) is a no-op
+const setReaction = async (post, user, type, active) => {
+  let reaction = null;
+
+  if (active) {
+    try {
+      reaction = await Reaction.create({ post: post._id, user: user._id, type });
+    } catch (error) {
+      if (!isDuplicateKey(error)) throw error;
+    }
+  } else {
+    reaction = await Reaction.findOneAndDelete({ post: post._id, user: user._id, type });
+  }
+
+  const changed = Boolean(reaction);
+  const { post: postCounter, author: authorCounter, points, reason } = COUNTERS[type];
+  let counts = { likesCount: post.likesCount, savesCount: post.savesCount };
+
+  if (changed) {
+    const delta = active ? 1 : -1;
+    const updated = await Post.findOneAndUpdate(
+      { _id: post._id },
+      { $inc: { [postCounter]: delta } },
+      { new: true, projection: { likesCount: 1, savesCount: 1 } }
+    );
+    counts = { likesCount: updated.likesCount, savesCount: updated.savesCount };
+
+    // Reacting to your own post doesn't count towards your stats
+    if (!post.author.equals(user._id)) {
+      await User.updateOne({ _id: post.author }, { $inc: { [authorCounter]: delta } });
+
+      if (active) {
+        await gamificationService.award(post.author, points, reason,
+          { kind: 'Reaction', id: reaction._id }, { post: post._id, subject: post.subject });
+        if (type === 'like') gamificationService.checkBadgesSafely(post.author, ['likesReceived']);
+      } else {
+        await gamificationService.reverseForSource(reaction._id, `${type} removed`);
+      }
+    }
+
+    if (type === 'like') {
+      realtime.emitToPost(post._id, 'post_liked', {
+        postId: post._id,
+        likesCount: counts.likesCount,
+        liked: active,
+        userId: user.isAnonymous ? null : user._id
+      });
+
+      if (active) {
+        await notificationService.notifySafely({
+          recipient: post.author,
+          type: 'post_like',
+          actor: user,
+          post,
+          message: 'liked your post'
+        });
+      }
+    }
+  }
+
+  // Collections only hold saved posts, so unsaving empties them of the post
+  if (type === 'save' && !active) {
+    await Collection.updateMany(
+      { owner: user._id, 'items.post': post._id },
+      { $pull: { items: { post: post._id } } }
+    );
+  }
+
+  return { changed, ...counts };
+};
+
+const getViewerKey = ({ userId, ip }) => {
+  if (userId) return `u:${userId}`;
+  return `ip:${crypto.createHash('sha256').update(String(ip)).digest('hex')}`;
+};
+
+// Count a view at most once per viewer per 24h; the PostView TTL index ends the window
+const recordView = async (post, { userId = null, ip = null } = {}) => {
+  if (userId && post.author.equals(userId)) return false;
+  if (!userId && !ip) return false;
+
+  try {
+    await PostView.create({ post: post._id, viewerKey: getViewerKey({ userId, ip }), user: userId });
+  } catch (error) {
+    if (isDuplicateKey(error)) return false;
+    throw error;
+  }
+
+  // updateOne rather than save() so the pre-save hook doesn't touch lastActivity
+  await Post.updateOne({ _id: post._id }, { $inc: { views: 1 } });
+
+  // Remembered longer than the view window so the feed can skip read posts
+  if (userId) {
+    await PostRead.updateOne(
+      { user: userId, post: post._id },
+      { readAt: new Date() },
+      { upsert: true }
+    );
+  }
+  return true;
+};
+
+// Which of the given posts the user has liked/saved
+const getViewerState = async (postIds, userId) => {
+  const state = new Map(postIds.map(id => [id.toString(), { liked: false, saved: false }]));
+  if (!userId || !postIds.length) return state;
+
+  const reactions = await Reaction.find({ post: { $in: postIds }, user: userId }).select('post type').lean();
+  reactions.forEach(({ post, type }) => {
+    state.get(post.toString())[type === 'like' ? 'liked' : 'saved'] = true;
+  });
+  return state;
+};
+
+module.exports = {
+  setReaction,
+  recordView,
+  getViewerState
+};
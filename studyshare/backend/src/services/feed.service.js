@@ -0,0 +1,147 @@
+const Post = require('../models/Post');
+const Follow = require('../models/Follow');
+const PostRead = require('../models/PostRead');
+const FeedSnapshot = require('../models/FeedSnapshot');
+const ErrorResponse = require('../utils/ErrorResponse');
+const followService = require('./follow.service');
+const { POST_GRADES } = require('../config/constants');
+
+const CANDIDATE_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+const MAX_FEED_SIZE = 300;
+
+const SOURCE_LIMITS = {
+  followed: 100,
+  interests: 100,
+  trending: 50,
+  unanswered: 50
+};
+
+// Order in which the sources take turns; sources that run dry are skipped
+const BLEND_PATTERN = ['followed', 'interests', 'trending', 'interests', 'unanswered'];
+
+const FEED_FIELDS = '-moderationNotes';
+
+// Posts the user could be shown: recent, published, not theirs, not read yet
+const baseMatch = async (user) => ({
+  status: 'published',
+  author: { $ne: user._id },
+  publishedAt: { $gte: new Date(Date.now() - CANDIDATE_WINDOW_MS) },
+  _id: { $nin: await PostRead.distinct('post', { user: user._id }) }
+});
+
+// The user's own subjects plus the ones they follow
+const interestMatch = (user, followedSubjects) => {
+  const subjects = [...new Set([...(user.subjects || []), ...followedSubjects])];
+  const match = {};
+  if (subjects.length) match.subject = { $in: subjects };
+  // Teachers, graduates etc. have no class level and see every grade
+  if (POST_GRADES.includes(user.grade)) match.grade = { $in: [user.grade, 'general'] };
+  return match;
+};
+
+const latestIds = async (match, limit) => {
+  const posts = await Post.find(match).sort({ publishedAt: -1, _id: -1 }).limit(limit).select('_id').lean();
+  return posts.map(post => post._id);
+};
+
+// Candidate post ids per source, best first
+const collectSources = async (user) => {
+  const base = await baseMatch(user);
+  const [followees, topics] = await Promise.all([
+    Follow.distinct('followee', { follower: user._id, targetType: 'User' }),
+    followService.getFollowedTopics(user._id)
+  ]);
+  const interests = interestMatch(user, topics.subjects);
+
+  // Anonymous posts are never attributed to the author they were followed for
+  const followedMatch = [];
+  if (followees.length) followedMatch.push({ author: { $in: followees }, isAnonymous: false });
+  if (topics.tags.length) followedMatch.push({ tags: { $in: topics.tags } });
+
+  const [followed, interesting, trending, unanswered] = await Promise.all([
+    followedMatch.length
+      ? latestIds({ ...base, $or: followedMatch }, SOURCE_LIMITS.followed)
+      : [],
+    latestIds({ ...base, ...interests }, SOURCE_LIMITS.interests),
+    Post.getTrending(SOURCE_LIMITS.trending, null, { match: base }).then(posts => posts.map(post => post._id)),
+    latestIds({
+      ...base,
+      ...(interests.subject && { subject: interests.subject }),
+      postType: 'question',
+      isSolved: false
+    }, SOURCE_LIMITS.unanswered)
+  ]);
+
+  return { followed, interests: interesting, trending, unanswered };
+};
+
+// Interleave the sources following BLEND_PATTERN, each post once
+const blend = (sources) => {
+  const queues = Object.fromEntries(Object.entries(sources).map(([name, ids]) => [name, [...ids]]));
+  const seen = new Set();
+  const items = [];
+
+  const hasMore = () => Object.values(queues).some(queue => queue.length);
+  let turn = 0;
+
+  while (items.length < MAX_FEED_SIZE && hasMore()) {
+    const reason = BLEND_PATTERN[turn % BLEND_PATTERN.length];
+    turn += 1;
+
+    const queue = queues[reason];
+    while (queue.length) {
+      const id = queue.shift();
+      if (seen.has(id.toString())) continue;
+      seen.add(id.toString());
+      items.push({ post: id, reason });
+      break;
+    }
+  }
+
+  return items;
+};
+
+const buildSnapshot = async (user) => {
+  const items = blend(await collectSources(user));
+  return FeedSnapshot.create({ user: user._id, items });
+};
+
+// One page of the user's feed. The first page builds a new snapshot; the
+// cursor points into it, so later pages keep the same order.
+const getFeedPage = async (user, { cursor, limit }) => {
+  let snapshot;
+  let offset = 0;
+
+  if (cursor) {
+    const { id, o } = cursor;
+    snapshot = id && await FeedSnapshot.findOne({ _id: id, user: user._id });
+    if (!snapshot) {
+      throw new ErrorResponse('Your feed has expired, please refresh it', 410);
+    }
+    offset = o || 0;
+  } else {
+    snapshot = await buildSnapshot(user);
+  }
+
+  const slice = snapshot.items.slice(offset, offset + limit);
+  const posts = await Post.find({ _id: { $in: slice.map(item => item.post) }, status: 'published' })
+    .select(FEED_FIELDS)
+    .populate('commentsCount');
+  const byId = new Map(posts.map(post => [post._id.toString(), post]));
+
+  // Posts removed since the snapshot was taken are skipped
+  const entries = slice
+    .filter(item => byId.has(item.post.toString()))
+    .map(item => ({ post: byId.get(item.post.toString()), reason: item.reason }));
+
+  const nextOffset = offset + slice.length;
+  return {
+    entries,
+    snapshotId: snapshot._id,
+    nextOffset: nextOffset < snapshot.items.length ? nextOffset : null
+  };
+};
+
+module.exports = {
+  getFeedPage
+};
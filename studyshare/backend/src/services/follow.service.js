@@ -0,0 +1,141 @@
+const Follow = require('../models/Follow');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const ErrorResponse = require('../utils/ErrorResponse');
+const notificationService = require('./notification.service');
+
+const isDuplicateKey = (error) => error && error.code === 11000;
+
+// Follow a user. Private profiles can't be followed; following twice is a no-op.
+const followUser = async (follower, followeeId) => {
+  if (follower._id.equals(followeeId)) {
+    throw new ErrorResponse('You cannot follow yourself', 400);
+  }
+
+  const followee = await User.findOne({ _id: followeeId, isActive: true }).select('privacy');
+  if (!followee) {
+    throw new ErrorResponse('User not found', 404);
+  }
+  if (followee.privacy && followee.privacy.profileVisibility === 'private') {
+    throw new ErrorResponse('This profile is private', 403);
+  }
+
+  try {
+    await Follow.create({ follower: follower._id, followee: followee._id });
+  } catch (error) {
+    if (isDuplicateKey(error)) return false;
+    throw error;
+  }
+
+  await Promise.all([
+    User.updateOne({ _id: follower._id }, { $inc: { 'stats.followingCount': 1 } }),
+    User.updateOne({ _id: followee._id }, { $inc: { 'stats.followersCount': 1 } })
+  ]);
+
+  await notificationService.notifySafely({
+    recipient: followee._id,
+    type: 'new_follower',
+    actor: follower,
+    message: 'started following you'
+  });
+
+  return true;
+};
+
+const unfollowUser = async (follower, followeeId) => {
+  const follow = await Follow.findOneAndDelete({ follower: follower._id, followee: followeeId });
+  if (!follow) return false;
+
+  await Promise.all([
+    User.updateOne({ _id: follower._id }, { $inc: { 'stats.followingCount': -1 } }),
+    User.updateOne({ _id: followeeId }, { $inc: { 'stats.followersCount': -1 } })
+  ]);
+  return true;
+};
+
+const followTopic = async (user, targetType, topic) => {
+  try {
+    await Follow.create({ follower: user._id, targetType, topic });
+    return true;
+  } catch (error) {
+    if (isDuplicateKey(error)) return false;
+    throw error;
+  }
+};
+
+const unfollowTopic = async (user, targetType, topic) => {
+  const result = await Follow.deleteOne({ follower: user._id, targetType, topic: String(topic).toLowerCase() });
+  return result.deletedCount > 0;
+};
+
+// Subjects and tags a user follows
+const getFollowedTopics = async (userId) => {
+  const follows = await Follow.find({ follower: userId, targetType: { $in: ['Subject', 'Tag'] } })
+    .select('targetType topic')
+    .lean();
+
+  return {
+    subjects: follows.filter(follow => follow.targetType === 'Subject').map(follow => follow.topic),
+    tags: follows.filter(follow => follow.targetType === 'Tag').map(follow => follow.topic)
+  };
+};
+
+// Tell the author's followers and the followers of the post's tags about a
+// newly published post, once per post. Followers only hear about their
+// authors' named posts: an anonymous post must not point back to its author.
+const notifyFollowersOfPost = async (post) => {
+  const claimed = await Post.findOneAndUpdate(
+    { _id: post._id, status: 'published', followersNotifiedAt: null },
+    { followersNotifiedAt: new Date() },
+    { new: true }
+  ).select('author slug title tags isAnonymous');
+  if (!claimed) return 0;
+
+  const author = await User.findById(claimed.author).select('displayName avatar isAnonymous');
+  const notified = new Set([claimed.author.toString()]);
+  let sent = 0;
+
+  if (!claimed.isAnonymous) {
+    const followers = await Follow.distinct('follower', { followee: claimed.author });
+    followers.forEach(id => notified.add(id.toString()));
+
+    sent += await notificationService.notifyMany(followers, {
+      type: 'followed_post',
+      actor: author,
+      post: claimed,
+      message: 'published a new post'
+    });
+  }
+
+  if (claimed.tags.length) {
+    const tagFollowers = await Follow.distinct('follower', { targetType: 'Tag', topic: { $in: claimed.tags } });
+    const recipients = tagFollowers.filter(id => !notified.has(id.toString()));
+
+    sent += await notificationService.notifyMany(recipients, {
+      type: 'followed_tag_post',
+      actor: author,
+      actorIsAnonymous: claimed.isAnonymous,
+      post: claimed,
+      message: 'New post in a tag you follow',
+      data: { tags: claimed.tags }
+    });
+  }
+
+  return sent;
+};
+
+// Fire-and-forget wrapper for request handlers
+const notifyFollowersSafely = (post) =>
+  notifyFollowersOfPost(post).catch((error) => {
+    console.error('🔔 Follower notifications failed:', error.message);
+  });
+
+module.exports = {
+  followUser,
+  unfollowUser,
+  followTopic,
+  unfollowTopic,
+  getFollowedTopics,
+  notifyFollowersOfPost,
+  notifyFollowersSafely
+};
@@ -0,0 +1,284 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Reaction = require('../models/Reaction');
+const PointsTransaction = require('../models/PointsTransaction');
+const BADGES = require('../config/badges');
+const notificationService = require('./notification.service');
+const { POINTS } = require('../config/constants');
+
+const LAST_ACTIVE_REFRESH_MS = 5 * 60 * 1000;
+
+// Taking a post down takes its points with it
+const REVOKED_POST_STATUSES = ['deleted', 'flagged', 'hidden'];
+
+// Reversal notes of takedowns a moderator can undo by approving the content
+const UNDONE_ON_APPROVAL = {
+  Post: ['post flagged', 'post hidden'],
+  Comment: ['comment flagged', 'comment hidden']
+};
+
+const isDuplicateKey = (error) => error && error.code === 11000;
+
+// Move User.points by `amount` without going below zero
+const applyPoints = (userId, amount, session) =>
+  User.updateOne(
+    { _id: userId },
+    [{ $set: { points: { $max: [0, { $add: ['$points', amount] }] } } }],
+    { session }
+  );
+
+// Record an award in the ledger and add it to the user's total.
+// Awarding the same reason for the same source twice is a no-op (returns null).
+const award = async (userId, amount, reason, source, { post = null, subject = null, note, session } = {}) => {
+  if (!userId || !amount) return null;
+
+  let entry;
+  try {
+    [entry] = await PointsTransaction.create([{
+      user: userId,
+      amount,
+      reason,
+      source,
+      post: post || undefined,
+      subject: subject || undefined,
+      note
+    }], { session });
+  } catch (error) {
+    if (isDuplicateKey(error)) return null;
+    throw error;
+  }
+
+  await applyPoints(userId, amount, session);
+  return entry;
+};
+
+// Undo standing awards matching `filter` with opposite ledger entries
+const reverseWhere = async (filter, note, session) => {
+  const entries = await PointsTransaction.find({ ...filter, reversed: false, amount: { $gt: 0 } })
+    .session(session || null);
+
+  for (const entry of entries) {
+    const marked = await PointsTransaction.updateOne(
+      { _id: entry._id, reversed: false },
+      { reversed: true },
+      { session }
+    );
+    // Someone else reversed it in the meantime
+    if (!marked.modifiedCount) continue;
+
+    await PointsTransaction.create([{
+      user: entry.user,
+      amount: -entry.amount,
+      reason: 'reversal',
+      note,
+      source: entry.source,
+      post: entry.post,
+      subject: entry.subject,
+      reverses: entry._id
+    }], { session });
+    await applyPoints(entry.user, -entry.amount, session);
+  }
+
+  return entries.length;
+};
+
+// Reverse what was earned through one document (comment, reaction...),
+// optionally only for one reason
+const reverseForSource = (sourceId, note, { reason, session } = {}) =>
+  reverseWhere({ 'source.id': sourceId, ...(reason && { reason }) }, note, session);
+
+// Reverse what the author earned through a post: publishing it and the likes
+// and saves it received. Commenters keep their points.
+const reverseForPost = (postId, note, { session } = {}) =>
+  reverseWhere({
+    $or: [
+      { 'source.id': postId },
+      { post: postId, reason: { $in: ['like_received', 'save_received'] } }
+    ]
+  }, note, session);
+
+// Whether what earned a reversed award still stands: the like or save wasn't
+// withdrawn, the answer is still the accepted one
+const CAUSE_STANDS = {
+  like_received: (entry) => Reaction.exists({ _id: entry.source.id }),
+  save_received: (entry) => Reaction.exists({ _id: entry.source.id }),
+  answer_accepted: (entry) => Comment.exists({ _id: entry.source.id, isAcceptedAnswer: true })
+};
+
+// Award again what a flag or hide reversed (reversals noted `notes`), once the
+// content is back. Awards whose cause went away in the meantime stay reversed;
+// award() dedupes, so repeated calls are harmless.
+const restoreWhere = async (filter, notes) => {
+  const entries = await PointsTransaction.find({
+    ...filter,
+    reason: { $in: Object.keys(CAUSE_STANDS) },
+    reversed: true,
+    amount: { $gt: 0 }
+  });
+
+  for (const entry of entries) {
+    const undone = await PointsTransaction.exists({ reverses: entry._id, note: { $in: notes } });
+    if (!undone || !(await CAUSE_STANDS[entry.reason](entry))) continue;
+
+    await award(entry.user, entry.amount, entry.reason, entry.source, {
+      post: entry.post,
+      subject: entry.subject,
+      note: 'restored after review'
+    });
+  }
+};
+
+// Metrics badge rules can use (see config/badges)
+const METRICS = {
+  postsPublished: (user) => Post.countDocuments({ author: user._id, status: 'published' }),
+  summariesPublished: (user) => Post.countDocuments({ author: user._id, status: 'published', postType: 'summary' }),
+  acceptedAnswers: (user) => Comment.countDocuments({ author: user._id, isAcceptedAnswer: true, status: 'active' }),
+  likesReceived: (user) => user.stats.likesReceived,
+  streakDays: (user) => user.stats.streakDays,
+  points: (user) => user.points
+};
+
+// Award every badge whose rule is now met. `metrics` limits the check to rules
+// on those metrics (e.g. ['acceptedAnswers'] after an answer is accepted).
+const checkBadges = async (userId, metrics = Object.keys(METRICS)) => {
+  const user = await User.findById(userId).select('badges stats points isActive');
+  if (!user || !user.isActive) return [];
+
+  const owned = new Set(user.badges.map(badge => badge.key));
+  const candidates = BADGES.filter(rule => metrics.includes(rule.metric) && !owned.has(rule.key));
+  const values = {};
+  const earned = [];
+
+  for (const rule of candidates) {
+    if (values[rule.metric] === undefined) {
+      values[rule.metric] = await METRICS[rule.metric](user);
+    }
+    if (values[rule.metric] < rule.threshold) continue;
+
+    const badge = {
+      _id: new mongoose.Types.ObjectId(),
+      key: rule.key,
+      name: rule.name,
+      icon: rule.icon,
+      description: rule.description,
+      category: rule.category,
+      earnedAt: new Date()
+    };
+
+    // The key condition keeps concurrent checks from awarding a badge twice
+    const result = await User.updateOne(
+      { _id: userId, 'badges.key': { $ne: rule.key } },
+      { $push: { badges: badge } }
+    );
+    if (!result.modifiedCount) continue;
+
+    await award(userId, rule.points, 'badge_earned', { kind: 'Badge', id: badge._id }, { note: rule.key });
+    await notificationService.notifySafely({
+      recipient: userId,
+      type: 'badge_earned',
+      message: `earned the "${rule.name}" badge`,
+      data: { badge: rule.key, name: rule.name, icon: rule.icon }
+    });
+    earned.push(badge);
+  }
+
+  // Badge points can unlock point-based badges
+  if (earned.length && !metrics.includes('points')) {
+    earned.push(...await checkBadges(userId, ['points']));
+  }
+
+  return earned;
+};
+
+// Fire-and-forget wrapper for request handlers
+const checkBadgesSafely = (userId, metrics) =>
+  checkBadges(userId, metrics).catch((error) => {
+    console.error('🏅 Badge check failed:', error.message);
+  });
+
+// Award or take back the publishing points after a post's status changed.
+// A post coming back from review also gets back its like and save points.
+const syncPostPoints = async (post) => {
+  if (post.status === 'published') {
+    const entry = await award(post.author, POINTS.postPublished, 'post_published',
+      { kind: 'Post', id: post._id }, { post: post._id, subject: post.subject });
+    if (entry) checkBadgesSafely(post.author, ['postsPublished', 'summariesPublished']);
+    await restoreWhere({ post: post._id }, UNDONE_ON_APPROVAL.Post);
+  } else if (REVOKED_POST_STATUSES.includes(post.status)) {
+    await reverseForPost(post._id, `post ${post.status}`);
+  }
+};
+
+// Same for comments, with the accepted-answer points; `post` supplies the subject
+const syncCommentPoints = async (comment, post) => {
+  if (comment.status === 'active') {
+    await award(comment.author, POINTS.commentPosted, 'comment_posted',
+      { kind: 'Comment', id: comment._id }, { post: comment.post, subject: post && post.subject });
+    await restoreWhere({ 'source.id': comment._id }, UNDONE_ON_APPROVAL.Comment);
+  } else {
+    await reverseForSource(comment._id, `comment ${comment.status}`);
+  }
+};
+
+// Keep lastActive fresh and extend the daily streak (see User.nextStreak).
+// Writes at most once every few minutes per user.
+const recordActivity = async (user) => {
+  const now = new Date();
+  if (user.lastActive && now - user.lastActive < LAST_ACTIVE_REFRESH_MS) return;
+
+  const streakDays = User.nextStreak(user.lastActive, user.stats.streakDays, now);
+
+  // Conditional on the old lastActive so parallel requests count a day once
+  const result = await User.updateOne(
+    { _id: user._id, lastActive: user.lastActive },
+    { $set: { lastActive: now, 'stats.streakDays': streakDays } }
+  );
+
+  if (result.modifiedCount) {
+    await checkBadges(user._id, ['streakDays']);
+  }
+};
+
+// Rebuild User.points from the ledger; returns the stored and computed totals
+const recomputePoints = async (userId) => {
+  const user = await User.findById(userId).select('points');
+  if (!user) return null;
+
+  const [total] = await PointsTransaction.aggregate([
+    { $match: { user: user._id } },
+    { $group: { _id: null, sum: { $sum: '$amount' } } }
+  ]);
+  const computed = Math.max(0, total ? total.sum : 0);
+
+  await User.updateOne({ _id: user._id }, { points: computed });
+  return { previous: user.points, points: computed, drift: user.points - computed };
+};
+
+// Manual correction by an admin, recorded in the ledger like any award
+const adjustPoints = async (userId, amount, note, adminId) => {
+  const [entry] = await PointsTransaction.create([{
+    user: userId,
+    amount,
+    reason: 'admin_adjustment',
+    note,
+    source: { kind: 'User', id: new mongoose.Types.ObjectId() },
+    createdBy: adminId
+  }]);
+  await applyPoints(userId, amount);
+  return entry;
+};
+
+module.exports = {
+  award,
+  reverseForSource,
+  reverseForPost,
+  checkBadges,
+  checkBadgesSafely,
+  syncPostPoints,
+  syncCommentPoints,
+  recordActivity,
+  recomputePoints,
+  adjustPoints
+};
@@ -0,0 +1,181 @@
+const mongoose = require('mongoose');
+const Leaderboard = require('../models/Leaderboard');
+const LeaderboardEntry = require('../models/LeaderboardEntry');
+const PointsTransaction = require('../models/PointsTransaction');
+const { LEADERBOARD_WINDOWS } = require('../config/constants');
+
+// Boards older than this are recomputed (by the refresh job, or in the
+// background when someone asks for one)
+const STALE_AFTER_MS = 10 * 60 * 1000;
+// Boards nobody looked at for this long are dropped
+const UNUSED_AFTER_MS = 7 * 24 * 60 * 60 * 1000;
+// Only boards requested this recently are kept fresh by the job
+const ACTIVE_WITHIN_MS = 24 * 60 * 60 * 1000;
+const REQUESTED_AT_THROTTLE_MS = 60 * 1000;
+const BATCH_SIZE = 1000;
+
+const USER_FIELDS = 'displayName username avatar isAnonymous grade';
+
+// Refreshes in progress in this process, so concurrent requests share one
+const inFlight = new Map();
+
+// Net points per active user in the board's window, highest first
+const rankingPipeline = ({ window, subject, grade }) => {
+  const span = LEADERBOARD_WINDOWS[window];
+  const match = {};
+  if (span) match.createdAt = { $gte: new Date(Date.now() - span) };
+  if (subject) match.subject = subject;
+
+  return [
+    { $match: match },
+    { $group: { _id: '$user', points: { $sum: '$amount' } } },
+    { $match: { points: { $gt: 0 } } },
+    { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+    { $unwind: '$user' },
+    { $match: { 'user.isActive': true, ...(grade && { 'user.grade': grade }) } },
+    { $sort: { points: -1, _id: 1 } },
+    { $project: { points: 1 } }
+  ];
+};
+
+// Write the ranking under a new version, switch the board to it, then drop
+// the old entries. Readers always see one complete version.
+const computeBoard = async (board) => {
+  const version = new mongoose.Types.ObjectId();
+  const cursor = PointsTransaction.aggregate(rankingPipeline(board)).allowDiskUse(true).cursor();
+
+  let batch = [];
+  let size = 0;
+  let rank = 0;
+  let previousPoints = null;
+
+  for await (const { _id: user, points } of cursor) {
+    size += 1;
+    if (points !== previousPoints) rank = size;
+    previousPoints = points;
+
+    batch.push({ board: board._id, version, user, points, rank });
+    if (batch.length >= BATCH_SIZE) {
+      await LeaderboardEntry.insertMany(batch, { ordered: false });
+      batch = [];
+    }
+  }
+  if (batch.length) await LeaderboardEntry.insertMany(batch, { ordered: false });
+
+  const updated = await Leaderboard.findByIdAndUpdate(
+    board._id,
+    { version, size, refreshedAt: new Date() },
+    { new: true }
+  );
+  await LeaderboardEntry.deleteMany({ board: board._id, version: { $ne: version } });
+
+  return updated;
+};
+
+const refreshBoard = (board) => {
+  if (!inFlight.has(board.key)) {
+    const refresh = computeBoard(board).finally(() => inFlight.delete(board.key));
+    inFlight.set(board.key, refresh);
+  }
+  return inFlight.get(board.key);
+};
+
+const isStale = (board) =>
+  !board.refreshedAt || Date.now() - board.refreshedAt >= STALE_AFTER_MS;
+
+// Find or create the board; a new board is computed before answering, a stale
+// one is served as is while it refreshes in the background
+const loadBoard = async ({ window, subject = null, grade = null }) => {
+  const key = Leaderboard.buildKey({ window, subject, grade });
+  let board = await Leaderboard.findOneAndUpdate(
+    { key },
+    { $setOnInsert: { key, window, subject, grade } },
+    { upsert: true, new: true }
+  );
+
+  if (!board.version) {
+    board = await refreshBoard(board);
+  } else if (isStale(board)) {
+    refreshBoard(board).catch((error) => {
+      console.error(`🏆 Leaderboard ${key} refresh failed:`, error.message);
+    });
+  }
+
+  if (Date.now() - board.lastRequestedAt >= REQUESTED_AT_THROTTLE_MS) {
+    await Leaderboard.updateOne({ _id: board._id }, { lastRequestedAt: new Date() });
+  }
+
+  return board;
+};
+
+const serializeEntry = (entry) => {
+  const user = entry.user;
+  return {
+    rank: entry.rank,
+    points: entry.points,
+    user: user && {
+      _id: user._id,
+      displayName: user.displayName,
+      username: user.isAnonymous ? undefined : user.username,
+      avatar: user.avatar,
+      grade: user.grade
+    }
+  };
+};
+
+// Top `limit` users of a board plus the caller's own position
+const getLeaderboard = async ({ window, subject, grade, limit, userId }) => {
+  const board = await loadBoard({ window, subject, grade });
+  const scope = { board: board._id, version: board.version };
+
+  const [entries, own] = await Promise.all([
+    LeaderboardEntry.find(scope)
+      .sort({ rank: 1, _id: 1 })
+      .limit(limit)
+      .populate('user', USER_FIELDS),
+    userId ? LeaderboardEntry.findOne({ ...scope, user: userId }) : null
+  ]);
+
+  return {
+    window: board.window,
+    subject: board.subject,
+    grade: board.grade,
+    size: board.size,
+    refreshedAt: board.refreshedAt,
+    entries: entries.map(serializeEntry),
+    me: userId
+      ? { rank: own ? own.rank : null, points: own ? own.points : 0 }
+      : null
+  };
+};
+
+// Run by the refresh job: recompute stale boards people still look at and
+// drop the ones nobody has asked for in a while. Returns the number refreshed.
+const refreshStaleBoards = async () => {
+  const unusedSince = new Date(Date.now() - UNUSED_AFTER_MS);
+  const unused = await Leaderboard.find({ lastRequestedAt: { $lt: unusedSince } }).select('_id');
+  if (unused.length) {
+    const ids = unused.map(board => board._id);
+    await LeaderboardEntry.deleteMany({ board: { $in: ids } });
+    await Leaderboard.deleteMany({ _id: { $in: ids } });
+  }
+
+  const boards = await Leaderboard.find({
+    lastRequestedAt: { $gte: new Date(Date.now() - ACTIVE_WITHIN_MS) },
+    $or: [
+      { refreshedAt: null },
+      { refreshedAt: { $lt: new Date(Date.now() - STALE_AFTER_MS) } }
+    ]
+  });
+
+  // One at a time to keep the load on the database flat
+  for (const board of boards) {
+    await refreshBoard(board);
+  }
+  return boards.length;
+};
+
+module.exports = {
+  getLeaderboard,
+  refreshStaleBoards
+};
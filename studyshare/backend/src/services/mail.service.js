@@ -0,0 +1,100 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+// Pick a transport from MAIL_TRANSPORT:
+//   smtp (default) - real delivery through SMTP_* settings
+//   json           - message is serialized and logged, nothing leaves the process
+//   file           - raw .eml files are written to MAIL_OUTPUT_DIR for local testing
+const createTransport = () => {
+  switch (process.env.MAIL_TRANSPORT) {
+    case 'json':
+      return nodemailer.createTransport({ jsonTransport: true });
+    case 'file':
+      return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    default:
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: parseInt(process.env.SMTP_PORT, 10) === 465,
+        auth: {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS
+        }
+      });
+  }
+};
+
+const getTransport = () => {
+  if (!transporter) {
+    transporter = createTransport();
+  }
+  return transporter;
+};
+
+// Swap the transport, e.g. for a stub in scripts or a different provider
+const setTransport = (transport) => {
+  transporter = transport;
+};
+
+const writeToFile = async (info) => {
+  const dir = process.env.MAIL_OUTPUT_DIR || path.join(__dirname, '..', '..', 'tmp', 'mail');
+  await fs.mkdir(dir, { recursive: true });
+  const fileName = `${Date.now()}-${info.messageId.replace(/[^a-zA-Z0-9.@-]/g, '')}.eml`;
+  await fs.writeFile(path.join(dir, fileName), info.message);
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  const info = await getTransport().sendMail({
+    from: process.env.EMAIL_FROM,
+    to,
+    subject,
+    text,
+    html
+  });
+
+  if (process.env.MAIL_TRANSPORT === 'file') {
+    await writeToFile(info);
+  } else if (process.env.MAIL_TRANSPORT === 'json' && process.env.NODE_ENV === 'development') {
+    console.log('📧 Mail:', info.message);
+  }
+
+  return info;
+};
+
+const buildLink = (pathname) => `${process.env.FRONTEND_URL}${pathname}`;
+
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+
+const sendVerificationEmail = (user, token) => {
+  const link = buildLink(`/verify-email/${token}`);
+  return sendMail({
+    to: user.email,
+    subject: 'StudyShare - Verify your email',
+    text: `Hi ${user.displayName},\n\nConfirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+    html: `<p>Hi ${escapeHtml(user.displayName)},</p><p>Confirm your email address by opening <a href="${link}">this link</a>.</p><p>The link expires in 24 hours.</p>`
+  });
+};
+
+const sendPasswordResetEmail = (user, token) => {
+  const link = buildLink(`/reset-password/${token}`);
+  return sendMail({
+    to: user.email,
+    subject: 'StudyShare - Reset your password',
+    text: `Hi ${user.displayName},\n\nReset your password by opening this link:\n${link}\n\nThe link expires in 10 minutes. If you did not ask for this, ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.displayName)},</p><p>Reset your password by opening <a href="${link}">this link</a>.</p><p>The link expires in 10 minutes. If you did not ask for this, ignore this email.</p>`
+  });
+};
+
+module.exports = {
+  sendMail,
+  escapeHtml,
+  setTransport,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
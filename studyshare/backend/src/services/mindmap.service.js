@@ -0,0 +1,274 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const Post = require('../models/Post');
+const ErrorResponse = require('../utils/ErrorResponse');
+const mindmapUtils = require('../utils/mindmap');
+const { getDriver } = require('./storage');
+const { createThumbnail } = require('./thumbnail.service');
+
+// Render the SVG at twice its size so the PNG stays sharp on retina screens
+const PNG_DENSITY = 144;
+
+const EXPORT_FORMATS = {
+  json: { contentType: 'application/json; charset=utf-8' },
+  opml: { contentType: 'text/x-opml; charset=utf-8' },
+  svg: { contentType: 'image/svg+xml; charset=utf-8' },
+  png: { contentType: 'image/png' }
+};
+
+const LINK_ERROR = 'Nodes can only link to other published posts';
+
+const currentNodes = (post) =>
+  (post.mindmap ? post.mindmap.nodes : []).map(node => {
+    const plain = node.toObject();
+    return plain.link ? { ...plain, link: plain.link.toString() } : plain;
+  });
+
+const newKey = (nodes) => {
+  const taken = new Set(nodes.map(node => node.key));
+  let key;
+  do {
+    key = crypto.randomBytes(4).toString('hex');
+  } while (taken.has(key));
+  return key;
+};
+
+// New links must point at other published posts; links already in the tree
+// are left alone, so a linked post going away doesn't block unrelated edits
+const checkLinks = async (post, nodes) => {
+  const known = new Set(currentNodes(post).map(node => node.link).filter(Boolean));
+  const added = [...new Set(nodes.map(node => node.link).filter(link => link && !known.has(link)))];
+  if (!added.length) return;
+
+  if (added.some(id => !mongoose.isValidObjectId(id) || post._id.equals(id))) {
+    throw new ErrorResponse(LINK_ERROR, 400);
+  }
+
+  const found = await Post.countDocuments({ _id: { $in: added }, status: 'published' });
+  if (found !== added.length) {
+    throw new ErrorResponse(LINK_ERROR, 400);
+  }
+};
+
+// Validate `nodes` and store them on the post (not saved)
+const applyNodes = async (post, nodes) => {
+  const errors = mindmapUtils.findTreeErrors(nodes);
+  if (errors.length) {
+    throw new ErrorResponse('Invalid mindmap', 400, errors);
+  }
+
+  const normalized = nodes.map(node => ({
+    key: node.key,
+    parent: node.parent || null,
+    label: node.label.trim(),
+    ...(node.color && { color: node.color.toUpperCase() }),
+    ...(node.link && { link: String(node.link) })
+  }));
+  await checkLinks(post, normalized);
+
+  // Keeps the revision counter and the current image
+  if (post.mindmap) {
+    post.mindmap.nodes = normalized;
+  } else {
+    post.mindmap = { nodes: normalized };
+  }
+};
+
+// Put `node` at `position` among the children of its parent (last by default)
+const insertAt = (nodes, node, position) => {
+  const siblings = nodes.filter(other => (other.parent || null) === (node.parent || null));
+  const before = position === undefined ? null : siblings[position];
+  const index = before ? nodes.indexOf(before) : nodes.length;
+  return [...nodes.slice(0, index), node, ...nodes.slice(index)];
+};
+
+const findNode = (nodes, key) => {
+  const node = nodes.find(candidate => candidate.key === key);
+  if (!node) {
+    throw new ErrorResponse('Node not found', 404);
+  }
+  return node;
+};
+
+// Nested tree for clients
+const getTree = (post) => mindmapUtils.buildTree(currentNodes(post));
+
+// The operations below change `post` in memory; the caller saves it
+
+const setTree = (post, nodes) => applyNodes(post, nodes);
+
+const addNode = async (post, { parent, label, color, link, position }) => {
+  const nodes = currentNodes(post);
+  findNode(nodes, parent);
+
+  const node = { key: newKey(nodes), parent, label, color, link };
+  await applyNodes(post, insertAt(nodes, node, position));
+  return findNode(currentNodes(post), node.key);
+};
+
+// `color` and `link` can be cleared with null; a new `parent` or `position` moves the node
+const updateNode = async (post, key, changes) => {
+  const nodes = currentNodes(post);
+  const node = { ...findNode(nodes, key) };
+
+  if (changes.label !== undefined) node.label = changes.label;
+  ['color', 'link'].forEach(field => {
+    if (changes[field] === null) delete node[field];
+    else if (changes[field] !== undefined) node[field] = changes[field];
+  });
+
+  if (changes.parent !== undefined) {
+    if (!node.parent) {
+      throw new ErrorResponse('The root node cannot be moved', 400);
+    }
+    findNode(nodes, changes.parent);
+    node.parent = changes.parent;
+  }
+
+  const moved = changes.parent !== undefined || changes.position !== undefined;
+  const updated = moved
+    ? insertAt(nodes.filter(other => other.key !== key), node, changes.position)
+    : nodes.map(other => (other.key === key ? node : other));
+
+  await applyNodes(post, updated);
+  return findNode(currentNodes(post), key);
+};
+
+// Removes the node and everything below it
+const removeNode = async (post, key) => {
+  const nodes = currentNodes(post);
+  const node = findNode(nodes, key);
+
+  if (!node.parent) {
+    throw new ErrorResponse('The root node cannot be removed', 400);
+  }
+
+  const removed = mindmapUtils.collectSubtree(nodes, key);
+  await applyNodes(post, nodes.filter(other => !removed.has(other.key)));
+  return removed.size;
+};
+
+const renderPng = (svg) =>
+  sharp(Buffer.from(svg), { density: PNG_DENSITY }).png().toBuffer();
+
+// Links in exports point at the linked post's page; gone posts lose their link
+const buildLinkUrl = async (nodes) => {
+  const ids = [...new Set(nodes.map(node => node.link).filter(Boolean))];
+  const posts = ids.length
+    ? await Post.find({ _id: { $in: ids }, status: 'published' }).select('slug').lean()
+    : [];
+  const slugs = new Map(posts.map(linked => [linked._id.toString(), linked.slug]));
+
+  return (id) => (slugs.has(id) ? `${process.env.FRONTEND_URL}/posts/${slugs.get(id)}` : null);
+};
+
+// The tree in one of EXPORT_FORMATS, as { body, contentType, filename }
+const exportMindmap = async (post, format) => {
+  const nodes = currentNodes(post);
+  const { contentType } = EXPORT_FORMATS[format];
+  const filename = `${post.slug}.${format}`;
+  let body;
+
+  if (format === 'json') {
+    const linkUrl = await buildLinkUrl(nodes);
+    const withUrls = (node) => ({
+      ...node,
+      ...(node.link && { url: linkUrl(node.link) }),
+      children: node.children.map(withUrls)
+    });
+    body = JSON.stringify({
+      title: post.title,
+      subject: post.subject,
+      grade: post.grade,
+      tree: withUrls(mindmapUtils.buildTree(nodes)),
+      exportedAt: new Date().toISOString()
+    }, null, 2);
+  } else if (format === 'opml') {
+    body = mindmapUtils.toOPML(nodes, {
+      title: post.title,
+      createdAt: post.publishedAt,
+      linkUrl: await buildLinkUrl(nodes)
+    });
+  } else if (format === 'svg') {
+    body = mindmapUtils.toSVG(nodes);
+  } else {
+    body = await renderPng(mindmapUtils.toSVG(nodes));
+  }
+
+  return { body, contentType, filename };
+};
+
+const removeImageFiles = async (image) => {
+  if (!image || !image.key) return;
+  const driver = getDriver(image.driver);
+  await driver.remove(image.key);
+  if (image.thumbnailKey) {
+    await driver.remove(image.thumbnailKey);
+  }
+};
+
+// Render the tree to a PNG (plus a webp thumbnail) and store it on the post,
+// for use as an attachment and preview. A render finishing after a newer
+// edit is thrown away, the newer edit renders its own.
+const renderImage = async (post) => {
+  const { revision } = post.mindmap;
+  const png = await renderPng(mindmapUtils.toSVG(currentNodes(post)));
+  const driver = getDriver();
+  // Not under the author's id like uploads: the URL must not give away who wrote an anonymous post
+  const baseKey = `mindmaps/${post._id}-${revision}-${crypto.randomBytes(4).toString('hex')}`;
+
+  const stored = await driver.save({ buffer: png, key: `${baseKey}.png`, mimeType: 'image/png' });
+  const preview = await createThumbnail(png, { type: 'image', ext: 'png' });
+  const thumbnail = preview
+    ? await driver.save({ buffer: preview, key: `${baseKey}-thumb.webp`, mimeType: 'image/webp' })
+    : null;
+
+  const image = {
+    driver: driver.name,
+    key: stored.key,
+    url: stored.url,
+    thumbnailKey: thumbnail ? thumbnail.key : undefined,
+    thumbnail: thumbnail ? thumbnail.url : undefined,
+    revision,
+    renderedAt: new Date()
+  };
+
+  const previous = await Post.findOneAndUpdate(
+    { _id: post._id, 'mindmap.revision': revision },
+    { $set: { 'mindmap.image': image } },
+    { projection: { 'mindmap.image': 1 } }
+  );
+
+  if (!previous) {
+    await removeImageFiles(image);
+    return null;
+  }
+
+  await removeImageFiles(previous.mindmap && previous.mindmap.image);
+  return image;
+};
+
+// Fire-and-forget wrappers for request handlers
+const renderImageSafely = (post) =>
+  renderImage(post).catch((error) => {
+    console.error(`🗺️ Mindmap image for post ${post._id} failed:`, error.message);
+  });
+
+const removeImageSafely = (image) =>
+  removeImageFiles(image).catch((error) => {
+    console.error('🗺️ Could not remove mindmap image:', error.message);
+  });
+
+module.exports = {
+  EXPORT_FORMATS,
+  getTree,
+  setTree,
+  addNode,
+  updateNode,
+  removeNode,
+  exportMindmap,
+  renderImage,
+  renderImageSafely,
+  removeImageSafely
+};
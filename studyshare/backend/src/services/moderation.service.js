@@ -0,0 +1,244 @@
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Flag = require('../models/Flag');
+const ModerationItem = require('../models/ModerationItem');
+const ModerationLog = require('../models/ModerationLog');
+const ErrorResponse = require('../utils/ErrorResponse');
+const { FLAG_REASONS, getFlagThreshold } = require('../config/moderation');
+const gamificationService = require('./gamification.service');
+const notificationService = require('./notification.service');
+const answerService = require('./answer.service');
+const followService = require('./follow.service');
+
+const isDuplicateKey = (error) => error && error.code === 11000;
+
+// Status a target has when live, waiting for review, hidden by a moderator or removed
+const TARGETS = {
+  Post: {
+    model: Post,
+    statuses: { active: 'published', pending: 'flagged', hidden: 'hidden', deleted: 'deleted' },
+    syncPoints: (doc) => gamificationService.syncPostPoints(doc)
+  },
+  Comment: {
+    model: Comment,
+    statuses: { active: 'active', pending: 'flagged', hidden: 'hidden', deleted: 'deleted' },
+    syncPoints: (doc) => gamificationService.syncCommentPoints(doc)
+  }
+};
+
+// Posts held back on their first publish only get a publishedAt once approved
+const statusUpdate = (targetType, to) =>
+  (targetType === 'Post' && to === 'published'
+    ? [{ $set: { status: to, publishedAt: { $ifNull: ['$publishedAt', '$$NOW'] } } }]
+    : { status: to });
+
+// Change the target's status only if it is still in one of `from`; update
+// queries rather than save() so edit and activity hooks don't fire, which
+// leaves the author's stats and points to sync here
+const setTargetStatus = async (targetType, targetId, from, to) => {
+  const { model, syncPoints } = TARGETS[targetType];
+  const doc = await model.findOneAndUpdate(
+    { _id: targetId, status: { $in: from } },
+    statusUpdate(targetType, to),
+    { new: true }
+  );
+  if (doc) {
+    await model.syncAuthorStats(doc);
+    await syncPoints(doc);
+  }
+  return doc;
+};
+
+// For posts, the action is also kept with the post's own moderation notes
+const log = async (item, { action, moderator = null, note, previousStatus, newStatus }) => {
+  const entry = await ModerationLog.create({
+    item: item._id,
+    targetType: item.targetType,
+    target: item.target,
+    action,
+    moderator,
+    note,
+    previousStatus,
+    newStatus
+  });
+
+  if (item.targetType === 'Post') {
+    await Post.updateOne({ _id: item.target }, {
+      $push: {
+        moderationNotes: { moderatorId: moderator, note, action, createdAt: entry.createdAt }
+      }
+    });
+  }
+
+  return entry;
+};
+
+// Hide the target pending review once it has collected enough open flags
+const autoHideIfNeeded = async (item) => {
+  if (item.autoHidden || item.flagsCount < getFlagThreshold()) return item;
+
+  const { statuses } = TARGETS[item.targetType];
+  const doc = await setTargetStatus(item.targetType, item.target, [statuses.active], statuses.pending);
+
+  // Claim the auto-hide once, even if two flags crossed the threshold together
+  const claimed = await ModerationItem.findOneAndUpdate(
+    { _id: item._id, autoHidden: false },
+    { autoHidden: true },
+    { new: true }
+  );
+  if (doc && claimed) {
+    await log(claimed, {
+      action: 'auto_hide',
+      note: `Hidden after ${claimed.flagsCount} flags`,
+      previousStatus: statuses.active,
+      newStatus: statuses.pending
+    });
+  }
+  return claimed || item;
+};
+
+// Record a user's flag on a post or comment and queue it for review.
+// `target` needs _id, author and (for comments) post.
+const flagContent = async (targetType, target, user, { reason, details }) => {
+  if (target.author.equals(user._id)) {
+    throw new ErrorResponse('You cannot flag your own content', 400);
+  }
+
+  try {
+    await Flag.create({ targetType, target: target._id, user: user._id, reason, details });
+  } catch (error) {
+    if (isDuplicateKey(error)) {
+      throw new ErrorResponse('You have already flagged this', 409);
+    }
+    throw error;
+  }
+
+  // A flag on resolved content reopens it, counting only flags since then
+  const item = await ModerationItem.findOneAndUpdate(
+    { target: target._id },
+    {
+      $setOnInsert: {
+        targetType,
+        post: targetType === 'Post' ? target._id : target.post,
+        author: target.author
+      },
+      $set: { status: 'open', lastFlaggedAt: new Date() },
+      $inc: { flagsCount: 1, [`reasons.${reason}`]: 1 }
+    },
+    { upsert: true, new: true }
+  );
+
+  return autoHideIfNeeded(item);
+};
+
+// Queue content the content filter saved as flagged
+const holdForReview = async (targetType, doc, results) => {
+  const item = await ModerationItem.findOneAndUpdate(
+    { target: doc._id },
+    {
+      $setOnInsert: {
+        targetType,
+        post: targetType === 'Post' ? doc._id : doc.post,
+        author: doc.author
+      },
+      $set: {
+        status: 'open',
+        autoHidden: true,
+        lastFlaggedAt: new Date(),
+        filterResults: results.map(({ check, reason, matches }) => ({ check, reason, matches }))
+      }
+    },
+    { upsert: true, new: true }
+  );
+
+  await log(item, {
+    action: 'auto_hide',
+    note: `Held by the content filter: ${results.map(result => result.reason).join(', ')}`,
+    newStatus: doc.status
+  });
+  return item;
+};
+
+const resolveFlags = (item) =>
+  Flag.updateMany({ target: item.target, status: 'open' }, { status: 'resolved' });
+
+// Reset the open counters so future flags start from zero
+const closeItem = (item, resolution, moderator) =>
+  ModerationItem.findByIdAndUpdate(item._id, {
+    status: 'resolved',
+    resolution,
+    resolvedBy: moderator._id,
+    resolvedAt: new Date(),
+    flagsCount: 0,
+    autoHidden: false,
+    reasons: Object.fromEntries(FLAG_REASONS.map(reason => [reason, 0]))
+  }, { new: true });
+
+const warnAuthor = async (item, target, note) => {
+  await notificationService.notifySafely({
+    recipient: item.author,
+    type: 'moderation',
+    post: item.targetType === 'Post' ? target : undefined,
+    comment: item.targetType === 'Comment' ? target : undefined,
+    message: item.targetType === 'Post'
+      ? 'The moderators sent you a warning about your post'
+      : 'The moderators sent you a warning about your comment',
+    data: { note }
+  });
+};
+
+// Apply a moderator's decision. approve/hide/delete resolve the item;
+// warn notifies the author and leaves the item as it is.
+const applyAction = async (itemId, moderator, { action, note }) => {
+  const item = await ModerationItem.findById(itemId);
+  if (!item) {
+    throw new ErrorResponse('Moderation item not found', 404);
+  }
+
+  const { model, statuses } = TARGETS[item.targetType];
+  const target = await model.findById(item.target);
+  if (!target) {
+    throw new ErrorResponse('The flagged content no longer exists', 404);
+  }
+
+  const previousStatus = target.status;
+  let updated = target;
+
+  if (action === 'warn') {
+    await warnAuthor(item, target, note);
+  } else if (action === 'approve') {
+    updated = await setTargetStatus(item.targetType, target._id, [statuses.pending, statuses.hidden], statuses.active) || target;
+    // Posts held back on publishing reach their followers only now
+    if (item.targetType === 'Post' && updated.status === 'published') {
+      followService.notifyFollowersSafely(updated);
+    }
+  } else if (action === 'hide') {
+    updated = await setTargetStatus(item.targetType, target._id, [statuses.active, statuses.pending], statuses.hidden) || target;
+  } else if (action === 'delete') {
+    // A removed comment can't stay the accepted answer
+    if (item.targetType === 'Comment' && target.isAcceptedAnswer) {
+      await answerService.unacceptAnswer(target.post, target._id);
+    }
+    updated = await setTargetStatus(
+      item.targetType,
+      target._id,
+      [statuses.active, statuses.pending, statuses.hidden],
+      statuses.deleted
+    ) || target;
+  }
+
+  await log(item, { action, moderator: moderator._id, note, previousStatus, newStatus: updated.status });
+
+  if (action === 'warn') {
+    return { item, target: updated };
+  }
+
+  await resolveFlags(item);
+  return { item: await closeItem(item, action, moderator), target: updated };
+};
+
+module.exports = {
+  flagContent,
+  holdForReview,
+  applyAction
+};
@@ -0,0 +1,176 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const realtime = require('../sockets/realtime');
+const mailService = require('./mail.service');
+
+const DIGEST_INTERVAL_MS = 24 * 60 * 60 * 1000;
+// The digest job only checks hourly, so a day's run can start up to an hour
+// earlier in the clock than the last one
+const DIGEST_SLACK_MS = 60 * 60 * 1000;
+
+// Actor fields for the notification; anonymous actors stay anonymous
+const describeActor = (actor, isAnonymous = false) => {
+  if (!actor) return {};
+  if (isAnonymous || actor.isAnonymous) {
+    return { actorName: isAnonymous ? 'مجهول' : actor.displayName };
+  }
+  return {
+    actor: actor._id,
+    actorName: actor.displayName,
+    actorAvatar: actor.avatar
+  };
+};
+
+const FAN_OUT_BATCH_SIZE = 500;
+
+const buildNotification = (recipient, { type, actor = null, actorIsAnonymous = false, post = null, comment = null, message, data = {} }) => ({
+  recipient,
+  type,
+  ...describeActor(actor, actorIsAnonymous),
+  post: post ? post._id : undefined,
+  postSlug: post ? post.slug : undefined,
+  postTitle: post ? post.title : undefined,
+  comment: comment ? comment._id : undefined,
+  message,
+  data
+});
+
+// Store a notification and push it live to the recipient's room.
+// Skipped when users would notify themselves or have turned the type off.
+const notify = async (payload) => {
+  const { recipient, type, actor = null } = payload;
+  if (!recipient || (actor && actor._id.equals(recipient))) return null;
+
+  const user = await User.findOne({ _id: recipient, isActive: true }).select('notificationPreferences');
+  if (!user || (user.notificationPreferences && user.notificationPreferences[type] === false)) {
+    return null;
+  }
+
+  const notification = await Notification.create(buildNotification(recipient, payload));
+
+  realtime.emitToUser(recipient, 'receive_notification', notification.toJSON());
+  return notification;
+};
+
+// The same notification for many recipients (e.g. every follower), written in
+// batches. Same rules as notify; returns how many were sent.
+const notifyMany = async (recipients, payload) => {
+  const actorId = payload.actor ? payload.actor._id.toString() : null;
+  const ids = recipients.filter(id => id.toString() !== actorId);
+  let sent = 0;
+
+  for (let start = 0; start < ids.length; start += FAN_OUT_BATCH_SIZE) {
+    const users = await User.find({
+      _id: { $in: ids.slice(start, start + FAN_OUT_BATCH_SIZE) },
+      isActive: true,
+      [`notificationPreferences.${payload.type}`]: { $ne: false }
+    }).select('_id');
+    if (!users.length) continue;
+
+    const notifications = await Notification.insertMany(users.map(user => buildNotification(user._id, payload)));
+    notifications.forEach(notification => {
+      realtime.emitToUser(notification.recipient, 'receive_notification', notification.toJSON());
+    });
+    sent += notifications.length;
+  }
+
+  return sent;
+};
+
+// Fire-and-forget wrapper: a failed notification must not fail the action behind it
+const notifySafely = (payload) =>
+  notify(payload).catch((error) => {
+    console.error('🔔 Notification failed:', error.message);
+  });
+
+const getUnreadCount = (userId) =>
+  Notification.countDocuments({ recipient: userId, read: false });
+
+const pushUnreadCount = async (userId) => {
+  realtime.emitToUser(userId, 'notifications_count', { unread: await getUnreadCount(userId) });
+};
+
+const markRead = async (userId, notificationId) => {
+  const notification = await Notification.findOneAndUpdate(
+    { _id: notificationId, recipient: userId },
+    { read: true, readAt: new Date() },
+    { new: true }
+  );
+  if (notification) await pushUnreadCount(userId);
+  return notification;
+};
+
+const markAllRead = async (userId) => {
+  const result = await Notification.updateMany(
+    { recipient: userId, read: false },
+    { read: true, readAt: new Date() }
+  );
+  await pushUnreadCount(userId);
+  return result.modifiedCount;
+};
+
+const buildDigest = (user, notifications) => {
+  const lines = notifications.map(n => `• ${n.message}${n.postTitle ? ` — ${n.postTitle}` : ''}`);
+  const items = notifications
+    .map(n => `<li>${mailService.escapeHtml(n.message)}${n.postTitle ? ` — ${mailService.escapeHtml(n.postTitle)}` : ''}</li>`)
+    .join('');
+  const link = `${process.env.FRONTEND_URL}/notifications`;
+
+  return {
+    to: user.email,
+    subject: `StudyShare - You have ${notifications.length} new notifications`,
+    text: `Hi ${user.displayName},\n\nHere is what happened since your last digest:\n\n${lines.join('\n')}\n\nSee them all: ${link}`,
+    html: `<p>Hi ${mailService.escapeHtml(user.displayName)},</p><p>Here is what happened since your last digest:</p><ul>${items}</ul><p><a href="${link}">See them all</a></p>`
+  };
+};
+
+// Email every opted-in user who wasn't emailed in the last day their unread
+// notifications that were not emailed yet. Returns the number of digests sent.
+const sendDailyDigests = async () => {
+  const startedAt = new Date();
+  const due = new Date(startedAt.getTime() - DIGEST_INTERVAL_MS + DIGEST_SLACK_MS);
+  const users = User.find({
+    'notificationPreferences.emailDigest': true,
+    isActive: true,
+    email: { $exists: true },
+    $or: [{ lastDigestAt: null }, { lastDigestAt: { $lte: due } }]
+  }).select('email displayName').cursor();
+
+  let sent = 0;
+  for await (const user of users) {
+    const notifications = await Notification.find({
+      recipient: user._id,
+      read: false,
+      emailedAt: null
+    }).sort({ createdAt: -1 }).limit(50);
+
+    if (!notifications.length) continue;
+
+    try {
+      await mailService.sendMail(buildDigest(user, notifications));
+    } catch (error) {
+      console.error(`📧 Digest for ${user._id} failed:`, error.message);
+      continue;
+    }
+
+    await Notification.updateMany(
+      { _id: { $in: notifications.map(n => n._id) } },
+      { emailedAt: new Date() }
+    );
+    // The run's start, not the send time, so tomorrow's run finds the user due
+    await User.updateOne({ _id: user._id }, { lastDigestAt: startedAt });
+    sent += 1;
+  }
+
+  return sent;
+};
+
+module.exports = {
+  notify,
+  notifySafely,
+  notifyMany,
+  getUnreadCount,
+  markRead,
+  markAllRead,
+  sendDailyDigests
+};
@@ -0,0 +1,51 @@
+const Follow = require('../models/Follow');
+const { hasPermission } = require('../config/permissions');
+
+// Friends are users who follow each other
+const areFriends = async (userId, otherId) => {
+  if (!userId || !otherId) return false;
+
+  const follows = await Follow.countDocuments({
+    $or: [
+      { follower: userId, followee: otherId },
+      { follower: otherId, followee: userId }
+    ]
+  });
+  return follows === 2;
+};
+
+const isPrivileged = (viewer, user) =>
+  Boolean(viewer) && (viewer._id.equals(user._id) || hasPermission(viewer, 'user:view-private'));
+
+// Whether `viewer` (null for guests) may see `user`'s profile and connections,
+// following privacy.profileVisibility
+const canViewProfile = async (viewer, user) => {
+  if (isPrivileged(viewer, user)) return true;
+
+  const visibility = (user.privacy && user.privacy.profileVisibility) || 'public';
+  if (visibility === 'public') return true;
+  if (visibility === 'friends') return Boolean(viewer) && areFriends(viewer._id, user._id);
+  return false;
+};
+
+// Everything privacy decides for one viewer: the full profile, the email
+// address, and the posts, comments and activity (showActivity)
+const getProfileAccess = async (viewer, user) => {
+  if (isPrivileged(viewer, user)) {
+    return { profile: true, email: true, activity: true };
+  }
+
+  const privacy = user.privacy || {};
+  const profile = await canViewProfile(viewer, user);
+  return {
+    profile,
+    email: profile && Boolean(privacy.showEmail),
+    activity: profile && privacy.showActivity !== false
+  };
+};
+
+module.exports = {
+  areFriends,
+  canViewProfile,
+  getProfileAccess
+};
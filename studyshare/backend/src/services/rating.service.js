@@ -0,0 +1,78 @@
+const Post = require('../models/Post');
+const Rating = require('../models/Rating');
+const ErrorResponse = require('../utils/ErrorResponse');
+
+const findRateablePost = async (slug, userId) => {
+  const post = await Post.findOne({ slug, status: 'published' }).select('author');
+
+  if (!post) {
+    throw new ErrorResponse('Post not found', 404);
+  }
+
+  if (post.author.equals(userId)) {
+    throw new ErrorResponse('You cannot rate your own post', 403);
+  }
+
+  return post;
+};
+
+// Create or change the user's rating
+const ratePost = async (slug, userId, value) => {
+  const post = await findRateablePost(slug, userId);
+
+  // Returns the previous record (null on first rating) atomically
+  const previous = await Rating.findOneAndUpdate(
+    { post: post._id, user: userId },
+    { value },
+    { upsert: true, new: false, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  const previousValue = previous ? previous.value : null;
+  if (previousValue !== value) {
+    await Post.applyRatingChange(post._id, previousValue, value);
+  }
+
+  return getRatingSummary(slug, userId);
+};
+
+const removeRating = async (slug, userId) => {
+  const post = await findRateablePost(slug, userId);
+
+  const previous = await Rating.findOneAndDelete({ post: post._id, user: userId });
+  if (!previous) {
+    throw new ErrorResponse('You have not rated this post', 404);
+  }
+
+  await Post.applyRatingChange(post._id, previous.value, null);
+
+  return getRatingSummary(slug, userId);
+};
+
+// Distribution of the post's ratings plus the caller's own rating, if any
+const getRatingSummary = async (slug, userId = null) => {
+  const post = await Post.findOne({ slug, status: 'published' }).select('rating');
+
+  if (!post) {
+    throw new ErrorResponse('Post not found', 404);
+  }
+
+  const own = userId ? await Rating.findOne({ post: post._id, user: userId }).select('value') : null;
+  const { average, count, details } = post.rating;
+
+  return {
+    postId: post._id,
+    average,
+    count,
+    distribution: [1, 2, 3, 4, 5].reduce((result, value) => {
+      result[value] = details[value] || 0;
+      return result;
+    }, {}),
+    userRating: own ? own.value : null
+  };
+};
+
+module.exports = {
+  ratePost,
+  removeRating,
+  getRatingSummary
+};
@@ -0,0 +1,144 @@
+const PostRevision = require('../models/PostRevision');
+const ErrorResponse = require('../utils/ErrorResponse');
+const mindmapUtils = require('../utils/mindmap');
+const { diffText, diffList } = require('../utils/diff');
+const mindmapService = require('./mindmap.service');
+
+// Post fields kept in each revision
+const REVISION_FIELDS = ['title', 'content', 'excerpt', 'tags', 'mindmapNodes'];
+
+// Two saves racing for the same revision number: the loser compares again
+const MAX_ATTEMPTS = 3;
+
+// The revisioned fields of a post or a stored revision, as plain values
+const snapshotOf = (source) => {
+  const nodes = source.mindmapNodes || (source.mindmap && source.mindmap.nodes);
+  return {
+    title: source.title,
+    content: source.content || '',
+    excerpt: source.excerpt || '',
+    tags: [...(source.tags || [])],
+    mindmapNodes: nodes && nodes.length
+      ? nodes.map(node => {
+        const plain = typeof node.toObject === 'function' ? node.toObject() : { ...node };
+        return plain.link ? { ...plain, link: plain.link.toString() } : plain;
+      })
+      : undefined
+  };
+};
+
+const isEmpty = (value) =>
+  value === undefined || value === '' || (Array.isArray(value) && !value.length);
+
+const changedFields = (before, after) =>
+  REVISION_FIELDS.filter(field => (before
+    ? JSON.stringify(before[field]) !== JSON.stringify(after[field])
+    : !isEmpty(after[field])));
+
+// Save the post's current content as its next revision, unless it matches the
+// latest one (e.g. only the status changed). Returns the revision or null.
+const recordRevision = async (post, editor, { reason, restoredFrom } = {}) => {
+  const snapshot = snapshotOf(post);
+
+  for (let attempt = 1; ; attempt += 1) {
+    const latest = await PostRevision.findOne({ post: post._id }).sort({ number: -1 });
+    const changed = changedFields(latest && snapshotOf(latest), snapshot);
+    if (latest && !changed.length) return null;
+
+    try {
+      return await PostRevision.create({
+        post: post._id,
+        number: latest ? latest.number + 1 : 1,
+        editor: editor._id,
+        reason,
+        restoredFrom,
+        changedFields: changed,
+        ...snapshot
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= MAX_ATTEMPTS) throw error;
+    }
+  }
+};
+
+const findRevision = async (postId, number) => {
+  const revision = await PostRevision.findOne({ post: postId, number });
+
+  if (!revision) {
+    throw new ErrorResponse('Revision not found', 404);
+  }
+
+  return revision;
+};
+
+// What changed from one snapshot to the next, field by field
+const diffSnapshots = (before, after) =>
+  changedFields(before, after).map(field => {
+    if (field === 'tags') {
+      return { field, changes: diffList(before && before.tags, after.tags) };
+    }
+    if (field === 'mindmapNodes') {
+      const outline = (snapshot) => (snapshot ? mindmapUtils.toOutline(snapshot.mindmapNodes) : '');
+      return { field, changes: diffText(outline(before), outline(after), { lines: true }) };
+    }
+    return {
+      field,
+      changes: diffText(before && before[field], after[field], { lines: field === 'content' })
+    };
+  });
+
+// A revision with its diff against `against` (another revision number), by
+// default the revision before it
+const getRevisionDiff = async (postId, number, against) => {
+  const revision = await findRevision(postId, number);
+  const base = against
+    ? await findRevision(postId, against)
+    : await PostRevision.findOne({ post: postId, number: { $lt: number } }).sort({ number: -1 });
+
+  return {
+    revision,
+    against: base ? base.number : null,
+    diff: diffSnapshots(base && snapshotOf(base), snapshotOf(revision))
+  };
+};
+
+// Put an older revision's content back on the post in memory; the caller
+// saves it and records the result as a new revision
+const applyRevision = async (post, number) => {
+  const revision = await findRevision(post._id, number);
+
+  ['title', 'content', 'excerpt'].forEach(field => {
+    post[field] = revision[field] || undefined;
+  });
+  post.tags = [...revision.tags];
+  if (post.postType === 'mindmap' && revision.mindmapNodes) {
+    await mindmapService.setTree(post, revision.mindmapNodes);
+  }
+
+  return revision;
+};
+
+// Versions of a comment, oldest first: the original, then one per edit with
+// who made it, when, why and what it changed
+const getCommentRevisions = (comment) => {
+  const versions = [...comment.editHistory.map(entry => entry.content), comment.content];
+
+  return versions.map((content, index) => {
+    const edit = index ? comment.editHistory[index - 1] : null;
+    return {
+      number: index + 1,
+      content,
+      editor: edit ? edit.editedBy : comment.author,
+      reason: edit ? edit.reason : null,
+      createdAt: edit ? edit.editedAt : comment.createdAt,
+      diff: index ? diffText(versions[index - 1], content) : null
+    };
+  });
+};
+
+module.exports = {
+  recordRevision,
+  getRevisionDiff,
+  applyRevision,
+  getCommentRevisions
+};
@@ -0,0 +1,116 @@
+const Post = require('../models/Post');
+const User = require('../models/User');
+const { toSearchText, normalizeArabic } = require('../utils/arabic');
+
+const FACET_FIELDS = ['subject', 'grade', 'postType', 'category'];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toFacet = (buckets) =>
+  buckets.reduce((result, { _id, count }) => {
+    if (_id) result[_id] = count;
+    return result;
+  }, {});
+
+// Ranked full-text search over published posts.
+// Facet counts cover every match of the query, before the subject/grade/... filters,
+// so clients can show how many results each filter value would give.
+const searchPosts = async (query, filters = {}, { page = 1, limit = 20 } = {}) => {
+  const terms = toSearchText(query);
+  if (!terms) {
+    return { posts: [], total: 0, facets: {} };
+  }
+
+  const filterMatch = {};
+  FACET_FIELDS.forEach(field => {
+    if (filters[field]) filterMatch[field] = filters[field];
+  });
+
+  const facetStages = FACET_FIELDS.reduce((stages, field) => {
+    stages[field] = [
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ];
+    return stages;
+  }, {});
+
+  const [result] = await Post.aggregate([
+    { $match: { $text: { $search: terms }, status: 'published' } },
+    { $addFields: { score: { $meta: 'textScore' } } },
+    {
+      $facet: {
+        results: [
+          { $match: filterMatch },
+          { $sort: { score: -1, publishedAt: -1, _id: -1 } },
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          {
+            $project: {
+              title: 1,
+              slug: 1,
+              excerpt: 1,
+              postType: 1,
+              subject: 1,
+              grade: 1,
+              category: 1,
+              tags: 1,
+              authorName: 1,
+              authorAvatar: { $cond: ['$isAnonymous', '$$REMOVE', '$authorAvatar'] },
+              likesCount: 1,
+              savesCount: 1,
+              views: 1,
+              rating: 1,
+              isSolved: 1,
+              readTime: 1,
+              publishedAt: 1,
+              score: 1
+            }
+          }
+        ],
+        total: [{ $match: filterMatch }, { $count: 'count' }],
+        ...facetStages
+      }
+    }
+  ]);
+
+  const facets = FACET_FIELDS.reduce((output, field) => {
+    output[field] = toFacet(result[field]);
+    return output;
+  }, {});
+
+  return {
+    posts: result.results,
+    total: result.total.length ? result.total[0].count : 0,
+    facets
+  };
+};
+
+// Users by displayName or username, matched on their normalized form
+const searchUsers = async (query, { page = 1, limit = 20 } = {}) => {
+  const normalized = normalizeArabic(query).trim();
+  if (!normalized) {
+    return { users: [], total: 0 };
+  }
+
+  const filter = {
+    searchName: new RegExp(escapeRegex(normalized)),
+    isActive: true,
+    isAnonymous: false
+  };
+
+  const [users, total] = await Promise.all([
+    User.find(filter)
+      .select('displayName username avatar points badges role')
+      .sort({ points: -1, _id: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    User.countDocuments(filter)
+  ]);
+
+  return { users, total };
+};
+
+module.exports = {
+  searchPosts,
+  searchUsers
+};
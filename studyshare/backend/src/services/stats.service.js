@@ -0,0 +1,139 @@
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const Reaction = require('../models/Reaction');
+
+// User.stats fields derived from other collections. Post.syncAuthorStats and
+// Comment.syncAuthorStats keep them up to date; this recomputes them.
+const STAT_FIELDS = ['postsCount', 'commentsCount', 'likesReceived', 'savesReceived', 'helpfullnessScore'];
+
+const BATCH_SIZE = 500;
+
+// Users listed in the report, the rest are only counted
+const REPORT_LIMIT = 100;
+
+// Line the countedInStats flags up with the statuses, so transitions after a
+// fix move the counters from the right starting point
+const syncCountedFlags = () => Promise.all([
+  Post.updateMany({ status: 'published', countedInStats: { $ne: true } }, { countedInStats: true }),
+  Post.updateMany({ status: { $ne: 'published' }, countedInStats: { $ne: false } }, { countedInStats: false }),
+  Comment.updateMany({ status: 'active', countedInStats: { $ne: true } }, { countedInStats: true }),
+  Comment.updateMany({ status: { $ne: 'active' }, countedInStats: { $ne: false } }, { countedInStats: false })
+]);
+
+// Stats of `userIds` from the source collections, by user id
+const computeStats = async (userIds) => {
+  const [posts, comments] = await Promise.all([
+    Post.aggregate([
+      { $match: { author: { $in: userIds }, status: 'published' } },
+      // Reactions to your own post don't count (see engagement.service)
+      {
+        $lookup: {
+          from: Reaction.collection.name,
+          let: { postId: '$_id', author: '$author' },
+          pipeline: [
+            { $match: { $expr: { $and: [{ $eq: ['$post', '$$postId'] }, { $ne: ['$user', '$$author'] }] } } },
+            {
+              $group: {
+                _id: null,
+                likes: { $sum: { $cond: [{ $eq: ['$type', 'like'] }, 1, 0] } },
+                saves: { $sum: { $cond: [{ $eq: ['$type', 'save'] }, 1, 0] } }
+              }
+            }
+          ],
+          as: 'reactions'
+        }
+      },
+      {
+        $group: {
+          _id: '$author',
+          postsCount: { $sum: 1 },
+          likesReceived: { $sum: { $sum: '$reactions.likes' } },
+          savesReceived: { $sum: { $sum: '$reactions.saves' } }
+        }
+      }
+    ]),
+    Comment.aggregate([
+      { $match: { author: { $in: userIds }, status: 'active' } },
+      {
+        $group: {
+          _id: '$author',
+          commentsCount: { $sum: 1 },
+          helpfullnessScore: { $sum: { $cond: ['$isAcceptedAnswer', 1, 0] } }
+        }
+      }
+    ])
+  ]);
+
+  const stats = new Map(userIds.map(id => [id.toString(), Object.fromEntries(STAT_FIELDS.map(field => [field, 0]))]));
+  [...posts, ...comments].forEach(({ _id, ...values }) => {
+    Object.assign(stats.get(_id.toString()), values);
+  });
+  return stats;
+};
+
+// Compare the stored stats of every user with recomputed ones. Returns how
+// many users were checked and how many had drifted, per field and in total,
+// with the first few drifted users in detail. With `fix`, the stored stats
+// (and the countedInStats flags) are corrected too.
+const reconcileStats = async ({ fix = false } = {}) => {
+  if (fix) await syncCountedFlags();
+
+  const report = {
+    checked: 0,
+    drifted: 0,
+    fixed: 0,
+    fields: Object.fromEntries(STAT_FIELDS.map(field => [field, 0])),
+    users: []
+  };
+
+  const reconcileBatch = async (users) => {
+    const actual = await computeStats(users.map(user => user._id));
+    const operations = [];
+
+    users.forEach(user => {
+      const expected = actual.get(user._id.toString());
+      const drift = STAT_FIELDS
+        .filter(field => ((user.stats && user.stats[field]) || 0) !== expected[field])
+        .map(field => ({ field, stored: (user.stats && user.stats[field]) || 0, actual: expected[field] }));
+      if (!drift.length) return;
+
+      report.drifted += 1;
+      drift.forEach(({ field }) => { report.fields[field] += 1; });
+      if (report.users.length < REPORT_LIMIT) {
+        report.users.push({ user: user._id, username: user.username, drift });
+      }
+
+      if (fix) {
+        operations.push({
+          updateOne: {
+            filter: { _id: user._id },
+            update: { $set: Object.fromEntries(drift.map(({ field, actual: value }) => [`stats.${field}`, value])) }
+          }
+        });
+      }
+    });
+
+    if (operations.length) {
+      const result = await User.bulkWrite(operations);
+      report.fixed += result.modifiedCount;
+    }
+    report.checked += users.length;
+  };
+
+  let batch = [];
+  for await (const user of User.find().select('username stats').lean().cursor()) {
+    batch.push(user);
+    if (batch.length >= BATCH_SIZE) {
+      await reconcileBatch(batch);
+      batch = [];
+    }
+  }
+  if (batch.length) await reconcileBatch(batch);
+
+  return report;
+};
+
+module.exports = {
+  reconcileStats
+};
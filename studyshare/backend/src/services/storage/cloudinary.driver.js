@@ -0,0 +1,52 @@
+const cloudinary = require('cloudinary').v2;
+
+let configured = false;
+
+const configure = () => {
+  if (configured) return;
+  cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET,
+    secure: true
+  });
+  configured = true;
+};
+
+// Cloudinary needs the resource type to delete; images (and PDFs) are "image",
+// audio and video are "video", everything else "raw"
+const resourceTypeFor = (mimeType = '') => {
+  if (mimeType.startsWith('image/') || mimeType === 'application/pdf') return 'image';
+  if (mimeType.startsWith('video/') || mimeType.startsWith('audio/')) return 'video';
+  return 'raw';
+};
+
+// Keys are stored as "<resourceType>:<public_id>"
+const save = ({ buffer, key, mimeType }) => {
+  configure();
+  const resourceType = resourceTypeFor(mimeType);
+  const publicId = `studyshare/${key.replace(/\.[^.]+$/, '')}`;
+
+  return new Promise((resolve, reject) => {
+    const stream = cloudinary.uploader.upload_stream(
+      { public_id: publicId, resource_type: resourceType, overwrite: false },
+      (error, result) => {
+        if (error) return reject(error);
+        resolve({ key: `${resourceType}:${result.public_id}`, url: result.secure_url });
+      }
+    );
+    stream.end(buffer);
+  });
+};
+
+const remove = async (key) => {
+  configure();
+  const [resourceType, publicId] = key.split(/:(.+)/);
+  await cloudinary.uploader.destroy(publicId, { resource_type: resourceType, invalidate: true });
+};
+
+module.exports = {
+  name: 'cloudinary',
+  save,
+  remove
+};
@@ -0,0 +1,21 @@
+// Storage drivers share one interface:
+//   save({ buffer, key, mimeType }) -> Promise<{ key, url }>
+//   remove(key)                     -> Promise<void>
+// STORAGE_DRIVER picks the driver: "cloudinary" (default) or "local".
+
+const drivers = {
+  local: () => require('./local.driver'),
+  cloudinary: () => require('./cloudinary.driver')
+};
+
+const getDriver = (name = process.env.STORAGE_DRIVER || 'cloudinary') => {
+  const load = drivers[name];
+  if (!load) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  return load();
+};
+
+module.exports = {
+  getDriver
+};
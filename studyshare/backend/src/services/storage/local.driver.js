@@ -0,0 +1,41 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Files on the local disk, served by server.js under /uploads. For development
+// and offline testing; use the cloudinary driver in production.
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', '..', 'uploads'));
+const PUBLIC_PATH = '/uploads';
+
+const resolveKey = (key) => {
+  const filePath = path.resolve(UPLOAD_DIR, key);
+  // Keys are generated server side, but never let one escape the upload directory
+  if (!filePath.startsWith(UPLOAD_DIR + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+const save = async ({ buffer, key }) => {
+  const filePath = resolveKey(key);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, buffer);
+
+  const baseUrl = process.env.UPLOAD_BASE_URL || '';
+  return { key, url: `${baseUrl}${PUBLIC_PATH}/${key}` };
+};
+
+const remove = async (key) => {
+  try {
+    await fs.unlink(resolveKey(key));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+module.exports = {
+  name: 'local',
+  UPLOAD_DIR,
+  PUBLIC_PATH,
+  save,
+  remove
+};
@@ -0,0 +1,56 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const sharp = require('sharp');
+
+const execFileAsync = promisify(execFile);
+
+const THUMBNAIL_WIDTH = 480;
+const PDF_RENDER_TIMEOUT_MS = 15000;
+
+const toThumbnail = (input) =>
+  sharp(input, { failOn: 'error' })
+    .rotate()
+    .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+    .webp({ quality: 75 })
+    .toBuffer();
+
+// First page of a PDF, rendered with poppler's pdftoppm (poppler-utils package)
+const renderPdfFirstPage = async (buffer) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'studyshare-pdf-'));
+  try {
+    const input = path.join(dir, 'input.pdf');
+    const output = path.join(dir, 'page');
+    await fs.writeFile(input, buffer);
+    await execFileAsync(
+      process.env.PDFTOPPM_PATH || 'pdftoppm',
+      ['-f', '1', '-l', '1', '-png', '-singlefile', '-scale-to', String(THUMBNAIL_WIDTH * 2), input, output],
+      { timeout: PDF_RENDER_TIMEOUT_MS }
+    );
+    return await fs.readFile(`${output}.png`);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+};
+
+// Returns a webp preview for images and PDFs, null for other types or when
+// rendering fails (a missing preview never fails the upload)
+const createThumbnail = async (buffer, fileType) => {
+  try {
+    if (fileType.type === 'image') {
+      return await toThumbnail(buffer);
+    }
+    if (fileType.type === 'pdf') {
+      return await toThumbnail(await renderPdfFirstPage(buffer));
+    }
+  } catch (error) {
+    console.error(`🖼️ Thumbnail for ${fileType.ext} failed:`, error.message);
+  }
+  return null;
+};
+
+module.exports = {
+  createThumbnail
+};
@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const ErrorResponse = require('../utils/ErrorResponse');
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.JWT_REFRESH_EXPIRE_DAYS, 10) || 30;
+
+// Short, human readable label for the sessions list, e.g. "Chrome on Windows"
+const describeDevice = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//], ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['Android', /Android/], ['iOS', /iPhone|iPad|iPod/], ['Windows', /Windows/],
+    ['macOS', /Mac OS X/], ['Linux', /Linux/]
+  ];
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) return 'Unknown device';
+  return [browser && browser[0], system && `on ${system[0]}`].filter(Boolean).join(' ');
+};
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found without a scan
+const buildRefreshToken = (sessionId, secret) => `${sessionId}.${secret}`;
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) {
+    throw new ErrorResponse('Invalid refresh token', 401);
+  }
+  return { sessionId, secret };
+};
+
+const newSecret = () => crypto.randomBytes(48).toString('hex');
+
+const issueTokens = (user, session, secret) => ({
+  token: user.getSignedJwtToken(session._id),
+  refreshToken: buildRefreshToken(session._id, secret)
+});
+
+// Open a session for this device and return a fresh token pair
+const createSession = async (user, req) => {
+  const secret = newSecret();
+  const userAgent = req.get('user-agent') || '';
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: Session.hashToken(secret),
+    device: describeDevice(userAgent),
+    userAgent,
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return issueTokens(user, session, secret);
+};
+
+// Exchange a refresh token for a new pair; the old refresh token stops working
+const rotateSession = async (refreshToken, req) => {
+  const { sessionId, secret } = parseRefreshToken(refreshToken);
+  const hash = Session.hashToken(secret);
+  const nextSecret = newSecret();
+
+  // Check and swap the token in one write, so of two refreshes with the same
+  // token only one gets a new pair
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, refreshTokenHash: hash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      $set: {
+        previousTokenHash: hash,
+        refreshTokenHash: Session.hashToken(nextSecret),
+        lastUsedAt: new Date(),
+        ip: req.ip
+      }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const current = await Session.findById(sessionId).select('+previousTokenHash');
+
+    if (!current || !current.isActive) {
+      throw new ErrorResponse('Session expired, please log in again', 401);
+    }
+
+    // A rotated-out token coming back means it was copied: kill the session
+    if (hash === current.previousTokenHash) {
+      await Session.updateOne(
+        { _id: sessionId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: 'refresh_token_reuse' }
+      );
+      throw new ErrorResponse('Session expired, please log in again', 401);
+    }
+
+    throw new ErrorResponse('Invalid refresh token', 401);
+  }
+
+  const user = await User.findById(session.user);
+  if (!user || !user.isActive) {
+    throw new ErrorResponse('Not authorized, account not found or disabled', 401);
+  }
+
+  return { user, ...issueTokens(user, session, nextSecret) };
+};
+
+const revokeSession = async (userId, sessionId, reason = 'logout') => {
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount > 0;
+};
+
+const listSessions = (userId) =>
+  Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 });
+
+module.exports = {
+  describeDevice,
+  createSession,
+  rotateSession,
+  revokeSession,
+  listSessions
+};
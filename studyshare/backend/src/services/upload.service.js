@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const path = require('path');
+const Upload = require('../models/Upload');
+const ErrorResponse = require('../utils/ErrorResponse');
+const { detectFileType } = require('../utils/fileType');
+const { getDriver } = require('./storage');
+const { createThumbnail } = require('./thumbnail.service');
+
+const MB = 1024 * 1024;
+
+const getMaxFileSize = () => parseInt(process.env.MAX_FILE_UPLOAD_SIZE, 10) || 10 * MB;
+const getUserQuota = () => parseInt(process.env.UPLOAD_QUOTA_BYTES, 10) || 200 * MB;
+const getOrphanMaxAgeMs = () => (parseInt(process.env.UPLOAD_ORPHAN_HOURS, 10) || 24) * 60 * 60 * 1000;
+
+// Original names are kept for display only, never used in storage keys
+const cleanName = (name = '') => path.basename(name).replace(/[\u0000-\u001f]/g, '').slice(0, 255);
+
+const buildKey = (userId, ext, suffix = '') =>
+  `${userId}/${Date.now()}-${crypto.randomBytes(8).toString('hex')}${suffix}.${ext}`;
+
+const uploadFile = async (user, file) => {
+  if (!file) {
+    throw new ErrorResponse('No file uploaded', 400);
+  }
+
+  if (file.size > getMaxFileSize()) {
+    throw new ErrorResponse(`File exceeds the ${Math.round(getMaxFileSize() / MB)}MB limit`, 413);
+  }
+
+  const fileType = detectFileType(file.buffer);
+  if (!fileType) {
+    throw new ErrorResponse('Unsupported file type. Allowed: PDF, images, audio, video and Office documents', 415);
+  }
+
+  const usage = await Upload.getUsage(user._id);
+  if (usage.bytes + file.size > getUserQuota()) {
+    throw new ErrorResponse('Upload quota exceeded, delete some files first', 413);
+  }
+
+  const driver = getDriver();
+  const stored = await driver.save({
+    buffer: file.buffer,
+    key: buildKey(user._id, fileType.ext),
+    mimeType: fileType.mime
+  });
+
+  // Anything failing from here on would leave the stored files orphaned
+  let thumbnail = null;
+  try {
+    const preview = await createThumbnail(file.buffer, fileType);
+    if (preview) {
+      thumbnail = await driver.save({
+        buffer: preview,
+        key: buildKey(user._id, 'webp', '-thumb'),
+        mimeType: 'image/webp'
+      });
+    }
+
+    return await Upload.create({
+      user: user._id,
+      driver: driver.name,
+      key: stored.key,
+      url: stored.url,
+      thumbnailKey: thumbnail ? thumbnail.key : undefined,
+      thumbnail: thumbnail ? thumbnail.url : undefined,
+      type: fileType.type,
+      mimeType: fileType.mime,
+      name: cleanName(file.originalname),
+      size: file.size
+    });
+  } catch (error) {
+    await removeStoredFiles({ driver: driver.name, key: stored.key, thumbnailKey: thumbnail && thumbnail.key });
+    throw error;
+  }
+};
+
+const removeStoredFiles = async (upload) => {
+  const driver = getDriver(upload.driver);
+  await driver.remove(upload.key);
+  if (upload.thumbnailKey) {
+    await driver.remove(upload.thumbnailKey);
+  }
+};
+
+const deleteUpload = async (userId, uploadId) => {
+  const upload = await Upload.findOne({ _id: uploadId, user: userId });
+
+  if (!upload) {
+    throw new ErrorResponse('Upload not found', 404);
+  }
+
+  if (upload.post) {
+    throw new ErrorResponse('This file is attached to a post, remove it from the post first', 400);
+  }
+
+  await removeStoredFiles(upload);
+  await upload.deleteOne();
+};
+
+// Resolve upload ids sent with a post into Post.attachments entries and claim them.
+// Only the author's own uploads, unattached or already on this post, are accepted.
+const attachToPost = async (userId, uploadIds, postId) => {
+  const ids = [...new Set((uploadIds || []).map(String))];
+  if (!ids.length) return [];
+
+  const uploads = await Upload.find({
+    _id: { $in: ids },
+    user: userId,
+    $or: [{ post: null }, { post: postId }]
+  });
+
+  if (uploads.length !== ids.length) {
+    throw new ErrorResponse('One or more attachments are invalid or already used', 400);
+  }
+
+  await Upload.updateMany(
+    { _id: { $in: ids }, post: null },
+    { post: postId, attachedAt: new Date() }
+  );
+
+  const byId = new Map(uploads.map(upload => [upload._id.toString(), upload]));
+  return ids.map(id => {
+    const upload = byId.get(id);
+    return {
+      upload: upload._id,
+      url: upload.url,
+      type: upload.type,
+      name: upload.name,
+      size: upload.size,
+      thumbnail: upload.thumbnail
+    };
+  });
+};
+
+// Uploads removed from a post go back to being unattached (and later cleaned up)
+const releaseFromPost = (postId, keepUploadIds = []) =>
+  Upload.updateMany(
+    { post: postId, _id: { $nin: keepUploadIds } },
+    { post: null, attachedAt: null }
+  );
+
+// Delete uploads left unattached for the whole grace period; updatedAt also
+// moves when a file is removed from a post, which restarts its grace period
+const cleanupOrphans = async () => {
+  const cutoff = new Date(Date.now() - getOrphanMaxAgeMs());
+  let removed = 0;
+
+  for await (const upload of Upload.find({ post: null, updatedAt: { $lt: cutoff } }).cursor()) {
+    try {
+      await removeStoredFiles(upload);
+      await upload.deleteOne();
+      removed += 1;
+    } catch (error) {
+      console.error(`🗑️ Could not remove orphaned upload ${upload._id}:`, error.message);
+    }
+  }
+
+  return removed;
+};
+
+module.exports = {
+  getMaxFileSize,
+  getUserQuota,
+  uploadFile,
+  deleteUpload,
+  attachToPost,
+  releaseFromPost,
+  cleanupOrphans
+};
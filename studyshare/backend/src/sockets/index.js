@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const realtime = require('./realtime');
+const { hasPermission } = require('../config/permissions');
+
+// Acknowledge a client event if it passed a callback
+const reply = (ack, payload) => {
+  if (typeof ack === 'function') ack(payload);
+};
+
+// Published posts are open to everyone; other statuses only to the author and staff
+const canJoinPost = async (user, postId) => {
+  if (!mongoose.Types.ObjectId.isValid(postId)) return false;
+
+  const post = await Post.findById(postId).select('status author').lean();
+  if (!post || post.status === 'deleted') return false;
+  if (post.status === 'published') return true;
+
+  return post.author.equals(user._id) || hasPermission(user, 'post:edit-any');
+};
+
+const registerSocketHandlers = (io) => {
+  realtime.init(io);
+
+  io.on('connection', (socket) => {
+    const { user } = socket.data;
+    console.log('🔌 New client connected:', socket.id);
+
+    // Users can only join their own room
+    socket.on('join_user', (userId, ack) => {
+      if (userId && String(userId) !== user._id.toString()) {
+        return reply(ack, { status: 'error', message: 'You can only join your own room' });
+      }
+      socket.join(realtime.userRoom(user._id));
+      reply(ack, { status: 'success' });
+    });
+
+    // Join post discussion room
+    socket.on('join_post', async (postId, ack) => {
+      try {
+        if (!(await canJoinPost(user, postId))) {
+          return reply(ack, { status: 'error', message: 'Post not found' });
+        }
+        socket.join(realtime.postRoom(postId));
+        reply(ack, { status: 'success' });
+      } catch (error) {
+        console.error('Socket join_post error:', error.message);
+        reply(ack, { status: 'error', message: 'Could not join post' });
+      }
+    });
+
+    socket.on('leave_post', (postId) => {
+      socket.leave(realtime.postRoom(postId));
+    });
+
+    // Typing indicator: identity comes from the handshake, never from the payload
+    socket.on('typing', (data = {}) => {
+      const room = realtime.postRoom(data.postId);
+      if (!socket.rooms.has(room)) return;
+
+      socket.to(room).emit('user_typing', {
+        userId: user.isAnonymous ? null : user._id,
+        userName: user.displayName
+      });
+    });
+
+    socket.on('disconnect', () => {
+      console.log('Client disconnected:', socket.id);
+    });
+  });
+};
+
+module.exports = registerSocketHandlers;
@@ -0,0 +1,27 @@
+// Holds the Socket.IO server so controllers and models can push events
+// without importing server.js. Emitting before init is a silent no-op.
+
+let io = null;
+
+const init = (server) => {
+  io = server;
+};
+
+const postRoom = (postId) => `post_${postId}`;
+const userRoom = (userId) => `user_${userId}`;
+
+const emitToPost = (postId, event, payload) => {
+  if (io) io.to(postRoom(postId)).emit(event, payload);
+};
+
+const emitToUser = (userId, event, payload) => {
+  if (io) io.to(userRoom(userId)).emit(event, payload);
+};
+
+module.exports = {
+  init,
+  postRoom,
+  userRoom,
+  emitToPost,
+  emitToUser
+};
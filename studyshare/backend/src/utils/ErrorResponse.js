@@ -0,0 +1,10 @@
+// Error carrying an HTTP status code, picked up by the error handler in server.js
+class ErrorResponse extends Error {
+  constructor(message, statusCode = 500, details = undefined) {
+    super(message);
+    this.statusCode = statusCode;
+    if (details) this.details = details;
+  }
+}
+
+module.exports = ErrorResponse;
@@ -0,0 +1,69 @@
+// Arabic text normalization and light stemming for search.
+// Both indexed text and queries go through the same functions, so spelling
+// variants (أ/إ/آ/ا, ة/ه, ى/ي), tashkeel and common affixes match each other.
+
+const TASHKEEL = /[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED]/g;
+const TATWEEL = /\u0640/g;
+const ARABIC_DIGITS = /[\u0660-\u0669]/g;
+
+// Longest first so "وال" is tried before "و"
+const PREFIXES = ['وال', 'بال', 'كال', 'فال', 'لل', 'ال', 'و'];
+const SUFFIXES = ['ها', 'ان', 'ات', 'ون', 'ين', 'يه', 'ه', 'ي'];
+
+const MIN_STEM_LENGTH = 2;
+
+// Drop tashkeel and tatweel and use Western digits, leaving the letters as written
+const stripMarks = (text = '') =>
+  String(text)
+    .replace(TASHKEEL, '')
+    .replace(TATWEEL, '')
+    .replace(ARABIC_DIGITS, digit => String(digit.charCodeAt(0) - 0x0660));
+
+const normalizeArabic = (text = '') =>
+  stripMarks(text)
+    .replace(/[أإآٱ]/g, 'ا')
+    .replace(/ى/g, 'ي')
+    .replace(/ة/g, 'ه')
+    .replace(/ؤ/g, 'و')
+    .replace(/ئ/g, 'ي')
+    .toLowerCase();
+
+const isArabicWord = (word) => /[\u0600-\u06FF]/.test(word);
+
+// Light stemming (in the spirit of Light10): strip one prefix and one suffix
+// as long as a meaningful stem remains. Non-Arabic words are returned as is.
+const stemArabic = (word) => {
+  if (!isArabicWord(word)) return word;
+
+  let stem = word;
+  const prefix = PREFIXES.find(p => stem.startsWith(p) && stem.length - p.length >= MIN_STEM_LENGTH + 1);
+  if (prefix) stem = stem.slice(prefix.length);
+
+  const suffix = SUFFIXES.find(s => stem.endsWith(s) && stem.length - s.length >= MIN_STEM_LENGTH + 1);
+  if (suffix) stem = stem.slice(0, -suffix.length);
+
+  return stem;
+};
+
+// Split into normalized words (letters and digits of any script)
+const tokenize = (text) =>
+  normalizeArabic(text)
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+// Text ready to be stored in a text index or passed to $text.$search
+const toSearchText = (...parts) =>
+  parts
+    .flat()
+    .filter(Boolean)
+    .map(part => tokenize(part).map(stemArabic).join(' '))
+    .join(' ')
+    .trim();
+
+module.exports = {
+  stripMarks,
+  normalizeArabic,
+  stemArabic,
+  tokenize,
+  toSearchText
+};
@@ -0,0 +1,5 @@
+// Wrap an async route handler so rejected promises reach the error middleware
+const asyncHandler = (fn) => (req, res, next) =>
+  Promise.resolve(fn(req, res, next)).catch(next);
+
+module.exports = asyncHandler;
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const ErrorResponse = require('./ErrorResponse');
+
+// Read a (possibly nested) field such as 'rating.average' from a document
+const getPath = (doc, path) =>
+  path.split('.').reduce((value, key) => (value == null ? value : value[key]), doc);
+
+// Encode the position of `doc` in a list sorted by `field` (_id as tie-breaker)
+const encodeCursor = (doc, field) => {
+  const value = getPath(doc, field);
+  const payload = {
+    v: value instanceof Date ? value.toISOString() : value,
+    t: value instanceof Date ? 'date' : typeof value,
+    id: doc._id.toString()
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// Encode a plain offset, used for lists whose order is computed on the fly (e.g. trending).
+// `id` pins the cursor to a stored list, such as a feed snapshot.
+const encodeOffsetCursor = (offset, id = null) =>
+  Buffer.from(JSON.stringify({ o: offset, ...(id && { id: id.toString() }) })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (payload.t === 'date') payload.v = new Date(payload.v);
+    if (payload.o !== undefined && !(Number.isInteger(payload.o) && payload.o >= 0)) {
+      throw new Error('Invalid offset');
+    }
+    if (payload.id) {
+      if (!mongoose.Types.ObjectId.isValid(payload.id)) throw new Error('Invalid id');
+      payload.id = new mongoose.Types.ObjectId(payload.id);
+    }
+    return payload;
+  } catch (error) {
+    throw new ErrorResponse('Invalid pagination cursor', 400);
+  }
+};
+
+// Build the query condition selecting documents that come after `cursor`
+// in a list sorted by { [field]: direction, _id: direction } (descending by default)
+const afterCursor = (field, cursor, direction = -1) => {
+  const { v, id } = decodeCursor(cursor);
+  if (!id) throw new ErrorResponse('Invalid pagination cursor', 400);
+  const op = direction === 1 ? '$gt' : '$lt';
+  return {
+    $or: [
+      { [field]: { [op]: v } },
+      { [field]: v, _id: { [op]: id } }
+    ]
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  encodeOffsetCursor,
+  decodeCursor,
+  afterCursor
+};
@@ -0,0 +1,25 @@
+// Diffs for revision history, as runs of { type, value } where type is
+// 'added', 'removed' or 'unchanged'.
+
+const Diff = require('diff');
+
+const toRuns = (changes) =>
+  changes.map(change => ({
+    type: change.added ? 'added' : change.removed ? 'removed' : 'unchanged',
+    value: change.value
+  }));
+
+// Word by word for short text, line by line for post bodies and outlines
+const diffText = (before, after, { lines = false } = {}) =>
+  toRuns(lines
+    ? Diff.diffLines(before || '', after || '')
+    : Diff.diffWordsWithSpace(before || '', after || ''));
+
+// Item by item, e.g. tags; values are arrays of the items in each run
+const diffList = (before, after) =>
+  toRuns(Diff.diffArrays(before || [], after || []));
+
+module.exports = {
+  diffText,
+  diffList
+};
@@ -0,0 +1,55 @@
+// Detect a file's real type from its first bytes instead of trusting the
+// extension or the client's Content-Type. Only formats we accept are listed.
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  bytes.every((byte, index) => buffer[offset + index] === byte);
+
+const ascii = (buffer, start, end) => buffer.toString('latin1', start, end);
+
+const SIGNATURES = [
+  { mime: 'application/pdf', ext: 'pdf', type: 'pdf', test: b => ascii(b, 0, 5) === '%PDF-' },
+  { mime: 'image/png', ext: 'png', type: 'image', test: b => startsWith(b, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { mime: 'image/jpeg', ext: 'jpg', type: 'image', test: b => startsWith(b, [0xff, 0xd8, 0xff]) },
+  { mime: 'image/gif', ext: 'gif', type: 'image', test: b => ['GIF87a', 'GIF89a'].includes(ascii(b, 0, 6)) },
+  { mime: 'image/webp', ext: 'webp', type: 'image', test: b => ascii(b, 0, 4) === 'RIFF' && ascii(b, 8, 12) === 'WEBP' },
+  { mime: 'audio/wav', ext: 'wav', type: 'audio', test: b => ascii(b, 0, 4) === 'RIFF' && ascii(b, 8, 12) === 'WAVE' },
+  { mime: 'audio/mpeg', ext: 'mp3', type: 'audio', test: b => ascii(b, 0, 3) === 'ID3' || (b[0] === 0xff && (b[1] & 0xe0) === 0xe0) },
+  { mime: 'audio/ogg', ext: 'ogg', type: 'audio', test: b => ascii(b, 0, 4) === 'OggS' },
+  { mime: 'audio/mp4', ext: 'm4a', type: 'audio', test: b => ascii(b, 4, 8) === 'ftyp' && ascii(b, 8, 11) === 'M4A' },
+  { mime: 'video/mp4', ext: 'mp4', type: 'video', test: b => ascii(b, 4, 8) === 'ftyp' },
+  { mime: 'video/webm', ext: 'webm', type: 'video', test: b => startsWith(b, [0x1a, 0x45, 0xdf, 0xa3]) },
+  // Legacy Office (doc/ppt/xls) share the OLE container signature
+  { mime: 'application/msword', ext: 'doc', type: 'document', test: b => startsWith(b, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]) }
+];
+
+// Office Open XML files are zip archives; the entry names tell them apart
+const OOXML = [
+  { marker: 'word/', mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', ext: 'docx' },
+  { marker: 'ppt/', mime: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', ext: 'pptx' },
+  { marker: 'xl/', mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', ext: 'xlsx' }
+];
+
+const detectZipDocument = (buffer) => {
+  if (!startsWith(buffer, [0x50, 0x4b, 0x03, 0x04])) return null;
+
+  const head = ascii(buffer, 0, Math.min(buffer.length, 64 * 1024));
+  const match = OOXML.find(({ marker }) => head.includes(marker));
+  return match ? { mime: match.mime, ext: match.ext, type: 'document' } : null;
+};
+
+// Returns { mime, ext, type } where type matches Post.attachments.type, or null
+const detectFileType = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+
+  const signature = SIGNATURES.find(({ test }) => test(buffer));
+  if (signature) {
+    const { mime, ext, type } = signature;
+    return { mime, ext, type };
+  }
+
+  return detectZipDocument(buffer);
+};
+
+module.exports = {
+  detectFileType
+};
@@ -0,0 +1,231 @@
+// Post content pipeline: Markdown with LaTeX math ($...$ inline, $$...$$ on
+// their own lines), rendered to HTML and passed through an allow-list
+// sanitizer before it is stored. Raw HTML in the Markdown is never rendered.
+
+const MarkdownIt = require('markdown-it');
+const katex = require('katex');
+require('katex/contrib/mhchem');
+const sanitizeHtml = require('sanitize-html');
+
+const KATEX_OPTIONS = {
+  throwOnError: false,
+  // The default strict mode warns on the console about LaTeX-incompatible input
+  strict: 'ignore',
+  output: 'htmlAndMathml',
+  trust: false,
+  maxSize: 20,
+  maxExpand: 500
+};
+
+// $...$ on one line. The opening $ can't be followed by a space and the
+// closing one can't be preceded by one or followed by a digit, so prices
+// like "$5 and $10" stay text. \$ is a literal dollar sign.
+const mathInline = (state, silent) => {
+  const { src, pos } = state;
+  if (src[pos] !== '$' || src[pos + 1] === '$' || /\s/.test(src[pos + 1] || ' ')) return false;
+
+  let end = pos + 1;
+  while ((end = src.indexOf('$', end)) !== -1) {
+    if (src[end - 1] !== '\\') break;
+    end += 1;
+  }
+  if (end === -1 || /\s/.test(src[end - 1]) || /\d/.test(src[end + 1] || '')) return false;
+
+  const content = src.slice(pos + 1, end);
+  if (content.includes('\n')) return false;
+
+  if (!silent) {
+    const token = state.push('math_inline', 'math', 0);
+    token.content = content;
+    token.markup = '$';
+  }
+  state.pos = end + 1;
+  return true;
+};
+
+// $$ ... $$ blocks, on one line or spanning several
+const mathBlock = (state, startLine, endLine, silent) => {
+  const start = state.bMarks[startLine] + state.tShift[startLine];
+  const firstLine = state.src.slice(start, state.eMarks[startLine]);
+  if (!firstLine.startsWith('$$')) return false;
+  if (silent) return true;
+
+  let content;
+  let line = startLine;
+  const rest = firstLine.slice(2);
+
+  if (rest.trim().endsWith('$$')) {
+    content = rest.trim().slice(0, -2);
+  } else {
+    const lines = [rest];
+    let closed = false;
+    while (++line < endLine) {
+      const text = state.src.slice(state.bMarks[line] + state.tShift[line], state.eMarks[line]);
+      if (text.trim().endsWith('$$')) {
+        lines.push(text.trim().slice(0, -2));
+        closed = true;
+        break;
+      }
+      lines.push(text);
+    }
+    if (!closed) return false;
+    content = lines.join('\n');
+  }
+
+  const token = state.push('math_block', 'math', 0);
+  token.block = true;
+  token.content = content.trim();
+  token.markup = '$$';
+  token.map = [startLine, line + 1];
+  state.line = line + 1;
+  return true;
+};
+
+// Math and code always read left to right, even inside Arabic paragraphs
+const renderMath = (displayMode) => (tokens, index) => {
+  const html = katex.renderToString(tokens[index].content, { ...KATEX_OPTIONS, displayMode });
+  return displayMode
+    ? `<div class="math math-display" dir="ltr">${html}</div>\n`
+    : `<span class="math math-inline" dir="ltr">${html}</span>`;
+};
+
+// Blocks pick their direction from their own text, so Arabic and English
+// paragraphs can sit side by side
+const AUTO_DIRECTION_TAGS = new Set(['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'li', 'blockquote', 'th', 'td']);
+
+const setDirections = (state) => {
+  state.tokens.forEach(token => {
+    if (token.nesting === 1 && AUTO_DIRECTION_TAGS.has(token.tag)) {
+      token.attrSet('dir', 'auto');
+    } else if (token.type === 'fence' || token.type === 'code_block') {
+      token.attrSet('dir', 'ltr');
+    }
+  });
+};
+
+const md = new MarkdownIt({ html: false, linkify: true, breaks: true });
+md.inline.ruler.after('escape', 'math_inline', mathInline);
+md.block.ruler.before('fence', 'math_block', mathBlock, { alt: ['paragraph', 'reference', 'blockquote', 'list'] });
+md.core.ruler.push('text_direction', setDirections);
+md.renderer.rules.math_inline = renderMath(false);
+md.renderer.rules.math_block = renderMath(true);
+
+// Tags and attributes KaTeX produces (HTML for display, MathML for screen readers)
+const MATHML_TAGS = [
+  'math', 'semantics', 'annotation', 'mrow', 'mi', 'mn', 'mo', 'ms', 'mtext', 'mspace',
+  'msup', 'msub', 'msubsup', 'mfrac', 'msqrt', 'mroot', 'mover', 'munder', 'munderover',
+  'mtable', 'mtr', 'mtd', 'mstyle', 'mpadded', 'mphantom', 'menclose'
+];
+const MATHML_ATTRIBUTES = [
+  'xmlns', 'encoding', 'display', 'mathvariant', 'stretchy', 'fence', 'separator', 'lspace', 'rspace',
+  'accent', 'accentunder', 'columnalign', 'rowspacing', 'columnspacing', 'width', 'height', 'depth',
+  'minsize', 'maxsize', 'scriptlevel', 'displaystyle', 'notation', 'linethickness', 'movablelimits'
+];
+
+const LENGTH = /^-?(\d+(\.\d+)?|\.\d+)(em|ex|px|%)?$/;
+const COLOR = /^(#[0-9a-fA-F]{3}|#[0-9a-fA-F]{6}|[a-zA-Z]+)$/;
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'p', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'strong', 'em', 's', 'blockquote',
+    'ul', 'ol', 'li', 'a', 'img', 'code', 'pre', 'table', 'thead', 'tbody', 'tr', 'th', 'td',
+    'sup', 'sub', 'span', 'div', 'svg', 'path', 'line',
+    ...MATHML_TAGS
+  ],
+  allowedAttributes: {
+    '*': ['dir'],
+    a: ['href', 'title', 'rel', 'target'],
+    img: ['src', 'alt', 'title'],
+    ol: ['start'],
+    code: ['class'],
+    span: ['class', 'style', 'aria-hidden'],
+    div: ['class'],
+    th: ['style'],
+    td: ['style'],
+    svg: ['xmlns', 'width', 'height', 'viewbox', 'preserveaspectratio', 'style'],
+    path: ['d'],
+    line: ['x1', 'y1', 'x2', 'y2', 'stroke-width'],
+    ...Object.fromEntries(MATHML_TAGS.map(tag => [tag, MATHML_ATTRIBUTES]))
+  },
+  allowedClasses: {
+    code: ['language-*']
+  },
+  allowedStyles: {
+    span: {
+      height: [LENGTH],
+      width: [LENGTH],
+      'min-width': [LENGTH],
+      top: [LENGTH],
+      'vertical-align': [LENGTH],
+      'margin-left': [LENGTH],
+      'margin-right': [LENGTH],
+      'padding-left': [LENGTH],
+      'border-bottom-width': [LENGTH],
+      'border-top-width': [LENGTH],
+      'border-right-width': [LENGTH],
+      color: [COLOR]
+    },
+    svg: {
+      width: [LENGTH],
+      height: [LENGTH],
+      'min-width': [LENGTH]
+    },
+    th: { 'text-align': [/^(left|right|center)$/] },
+    td: { 'text-align': [/^(left|right|center)$/] }
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['https', 'http'] },
+  allowProtocolRelative: false,
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { rel: 'nofollow noopener noreferrer', target: '_blank' })
+  },
+  parser: { lowerCaseAttributeNames: true }
+};
+
+// Sanitized HTML for a Markdown string
+const renderMarkdown = (markdown = '') =>
+  sanitizeHtml(md.render(markdown), SANITIZE_OPTIONS);
+
+const TEXT_TOKENS = new Set(['text', 'code_inline', 'code_block', 'fence', 'math_inline', 'math_block']);
+
+// The text a reader sees (math as its TeX source), one line per block.
+// Used for excerpts, read time and search instead of the raw Markdown.
+const toPlainText = (markdown = '') => {
+  const parts = [];
+  const walk = (tokens) => tokens.forEach(token => {
+    if (token.type === 'inline') {
+      walk(token.children);
+    } else if (TEXT_TOKENS.has(token.type)) {
+      parts.push(token.content);
+      if (token.block) parts.push('\n');
+    } else if (token.type === 'softbreak' || token.type === 'hardbreak') {
+      parts.push(' ');
+    } else if (token.type === 'image') {
+      parts.push(token.content);
+    } else if (token.block && token.nesting === -1) {
+      parts.push('\n');
+    }
+  });
+
+  walk(md.parse(markdown, {}));
+  return parts.join('')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim();
+};
+
+// Cut plain text at a word boundary
+const truncate = (text, length) => {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  if (flat.length <= length) return flat;
+
+  const cut = flat.slice(0, length);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > length / 2 ? cut.slice(0, lastSpace) : cut).trim()}…`;
+};
+
+module.exports = {
+  renderMarkdown,
+  toPlainText,
+  truncate
+};
@@ -0,0 +1,299 @@
+// Mindmap trees (posts with postType 'mindmap'). A tree is stored as a flat
+// list of nodes, each naming its parent by key; siblings keep the list order.
+// Everything here is pure: validation, nesting, and the OPML/SVG exports.
+
+const MINDMAP_LIMITS = {
+  nodes: 300,
+  depth: 10,
+  label: 120
+};
+
+const NODE_KEY = /^[A-Za-z0-9_-]{1,32}$/;
+const NODE_COLOR = /^#[0-9a-fA-F]{6}$/;
+
+// Default fill per depth when a node has no color of its own
+const PALETTE = ['#4F46E5', '#0EA5E9', '#10B981', '#F59E0B', '#EF4444', '#8B5CF6'];
+
+// Problems with a list of nodes, as { field, message } entries (empty when valid).
+// Checks the shape of each node, then that they form a single tree.
+const findTreeErrors = (nodes) => {
+  if (!Array.isArray(nodes) || !nodes.length) {
+    return [{ field: 'nodes', message: 'A mindmap needs at least one node' }];
+  }
+  if (nodes.length > MINDMAP_LIMITS.nodes) {
+    return [{ field: 'nodes', message: `A mindmap can have at most ${MINDMAP_LIMITS.nodes} nodes` }];
+  }
+
+  const errors = [];
+  const keys = new Set();
+
+  nodes.forEach((node, index) => {
+    const field = `nodes[${index}]`;
+    if (!node || typeof node.key !== 'string' || !NODE_KEY.test(node.key)) {
+      errors.push({ field: `${field}.key`, message: 'Keys are 1 to 32 letters, digits, - or _' });
+      return;
+    }
+    if (keys.has(node.key)) {
+      errors.push({ field: `${field}.key`, message: `Duplicate key "${node.key}"` });
+    }
+    keys.add(node.key);
+
+    const label = typeof node.label === 'string' ? node.label.trim() : '';
+    if (!label || label.length > MINDMAP_LIMITS.label) {
+      errors.push({ field: `${field}.label`, message: `Labels must be between 1 and ${MINDMAP_LIMITS.label} characters` });
+    }
+    if (node.color && !NODE_COLOR.test(node.color)) {
+      errors.push({ field: `${field}.color`, message: 'Colors must look like #RRGGBB' });
+    }
+  });
+  if (errors.length) return errors;
+
+  const roots = nodes.filter(node => !node.parent);
+  if (roots.length !== 1) {
+    return [{ field: 'nodes', message: 'A mindmap must have exactly one root node (without a parent)' }];
+  }
+
+  nodes.forEach((node, index) => {
+    if (node.parent && !keys.has(node.parent)) {
+      errors.push({ field: `nodes[${index}].parent`, message: `Unknown parent "${node.parent}"` });
+    }
+  });
+  if (errors.length) return errors;
+
+  // With one parent per node, every node is reachable from the root unless there is a cycle
+  const depths = measureDepths(nodes);
+  if (depths.size !== nodes.length) {
+    return [{ field: 'nodes', message: 'Nodes cannot be their own ancestors' }];
+  }
+  if (Math.max(...depths.values()) >= MINDMAP_LIMITS.depth) {
+    return [{ field: 'nodes', message: `A mindmap can be at most ${MINDMAP_LIMITS.depth} levels deep` }];
+  }
+
+  return [];
+};
+
+const childrenByParent = (nodes) => {
+  const children = new Map();
+  nodes.forEach(node => {
+    const parent = node.parent || null;
+    if (!children.has(parent)) children.set(parent, []);
+    children.get(parent).push(node);
+  });
+  return children;
+};
+
+// Depth of every node reachable from the root
+const measureDepths = (nodes) => {
+  const children = childrenByParent(nodes);
+  const depths = new Map();
+  const queue = (children.get(null) || []).map(node => [node, 0]);
+
+  while (queue.length) {
+    const [node, depth] = queue.shift();
+    if (depths.has(node.key)) continue;
+    depths.set(node.key, depth);
+    (children.get(node.key) || []).forEach(child => queue.push([child, depth + 1]));
+  }
+  return depths;
+};
+
+// Keys of `key` and everything below it
+const collectSubtree = (nodes, key) => {
+  const children = childrenByParent(nodes);
+  const keys = new Set();
+  const stack = [key];
+
+  while (stack.length) {
+    const current = stack.pop();
+    if (keys.has(current)) continue;
+    keys.add(current);
+    (children.get(current) || []).forEach(child => stack.push(child.key));
+  }
+  return keys;
+};
+
+// Nested form for clients and exports: { key, label, color, link, children }
+const buildTree = (nodes) => {
+  const children = childrenByParent(nodes);
+  const nest = (node) => ({
+    key: node.key,
+    label: node.label,
+    ...(node.color && { color: node.color }),
+    ...(node.link && { link: node.link }),
+    children: (children.get(node.key) || []).map(nest)
+  });
+
+  const [root] = children.get(null) || [];
+  return root ? nest(root) : null;
+};
+
+// Indented plain text, used for search, excerpts and the content filter
+const toOutline = (nodes) => {
+  const lines = [];
+  const walk = (node, depth) => {
+    lines.push(`${'  '.repeat(depth)}${node.label}`);
+    node.children.forEach(child => walk(child, depth + 1));
+  };
+
+  const tree = buildTree(nodes || []);
+  if (tree) walk(tree, 0);
+  return lines.join('\n');
+};
+
+const escapeXml = (text) =>
+  String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// OPML 2.0 outline. `linkUrl(postId)` turns a node's linked post into a URL
+// (null when it can't, e.g. the post is gone).
+const toOPML = (nodes, { title, createdAt, linkUrl = () => null }) => {
+  const render = (node, indent) => {
+    const url = node.link ? linkUrl(node.link) : null;
+    const attributes = [
+      `text="${escapeXml(node.label)}"`,
+      ...(url ? ['type="link"', `url="${escapeXml(url)}"`] : []),
+      ...(node.color ? [`color="${node.color}"`] : [])
+    ].join(' ');
+
+    if (!node.children.length) return `${indent}<outline ${attributes}/>`;
+    return [
+      `${indent}<outline ${attributes}>`,
+      ...node.children.map(child => render(child, `${indent}  `)),
+      `${indent}</outline>`
+    ].join('\n');
+  };
+
+  const tree = buildTree(nodes);
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<opml version="2.0">',
+    '  <head>',
+    `    <title>${escapeXml(title)}</title>`,
+    ...(createdAt ? [`    <dateCreated>${new Date(createdAt).toUTCString()}</dateCreated>`] : []),
+    '  </head>',
+    '  <body>',
+    ...(tree ? [render(tree, '    ')] : []),
+    '  </body>',
+    '</opml>',
+    ''
+  ].join('\n');
+};
+
+// SVG layout: the root on the left, each level one column to the right,
+// leaves stacked top to bottom and parents centred on their children
+const LAYOUT = {
+  margin: 24,
+  nodeHeight: 36,
+  columnGap: 56,
+  rowGap: 14,
+  padding: 14,
+  charWidth: 8,
+  minWidth: 60,
+  maxWidth: 240,
+  fontSize: 14
+};
+
+const fitLabel = (label) => {
+  const maxChars = Math.floor((LAYOUT.maxWidth - 2 * LAYOUT.padding) / LAYOUT.charWidth);
+  return label.length > maxChars ? `${label.slice(0, maxChars - 1)}…` : label;
+};
+
+const nodeWidth = (label) =>
+  Math.min(LAYOUT.maxWidth, Math.max(LAYOUT.minWidth, label.length * LAYOUT.charWidth + 2 * LAYOUT.padding));
+
+// Dark text on light fills, white text on dark ones
+const textColor = (fill) => {
+  const [r, g, b] = [1, 3, 5].map(start => parseInt(fill.slice(start, start + 2), 16));
+  return (0.299 * r + 0.587 * g + 0.114 * b) > 150 ? '#111827' : '#FFFFFF';
+};
+
+const toSVG = (nodes) => {
+  const tree = buildTree(nodes);
+  const placed = [];
+  const columnWidths = [];
+  let nextRow = 0;
+
+  // First pass: rows (y) and the widest label of each column
+  const place = (node, depth) => {
+    const label = fitLabel(node.label);
+    const width = nodeWidth(label);
+    columnWidths[depth] = Math.max(columnWidths[depth] || 0, width);
+
+    const children = node.children.map(child => place(child, depth + 1));
+    const row = children.length
+      ? (children[0].row + children[children.length - 1].row) / 2
+      : nextRow++;
+
+    const entry = { node, label, width, depth, row, children };
+    placed.push(entry);
+    return entry;
+  };
+  if (tree) place(tree, 0);
+
+  const columnX = columnWidths.reduce((xs, width, depth) => {
+    xs.push(depth ? xs[depth - 1] + columnWidths[depth - 1] + LAYOUT.columnGap : LAYOUT.margin);
+    return xs;
+  }, []);
+  const rowY = (row) => LAYOUT.margin + row * (LAYOUT.nodeHeight + LAYOUT.rowGap);
+
+  const width = columnX.length
+    ? columnX[columnX.length - 1] + columnWidths[columnWidths.length - 1] + LAYOUT.margin
+    : 2 * LAYOUT.margin;
+  const height = nextRow
+    ? rowY(nextRow - 1) + LAYOUT.nodeHeight + LAYOUT.margin
+    : 2 * LAYOUT.margin;
+
+  const edges = [];
+  const boxes = [];
+  placed.forEach(entry => {
+    const x = columnX[entry.depth];
+    const y = rowY(entry.row);
+    const fill = entry.node.color || PALETTE[entry.depth % PALETTE.length];
+
+    entry.children.forEach(child => {
+      const fromX = x + entry.width;
+      const fromY = y + LAYOUT.nodeHeight / 2;
+      const toX = columnX[child.depth];
+      const toY = rowY(child.row) + LAYOUT.nodeHeight / 2;
+      const midX = (fromX + toX) / 2;
+      edges.push(`<path d="M${fromX},${fromY} C${midX},${fromY} ${midX},${toY} ${toX},${toY}" />`);
+    });
+
+    // Text is centred by hand, not every renderer supports dominant-baseline
+    boxes.push([
+      `<g${entry.node.link ? ' class="linked"' : ''}>`,
+      `<rect x="${x}" y="${y}" width="${entry.width}" height="${LAYOUT.nodeHeight}" rx="8" fill="${fill}" />`,
+      `<text x="${x + entry.width / 2}" y="${y + LAYOUT.nodeHeight / 2 + LAYOUT.fontSize * 0.35}" fill="${textColor(fill)}">${escapeXml(entry.label)}</text>`,
+      '</g>'
+    ].join(''));
+  });
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `<rect width="${width}" height="${height}" fill="#FFFFFF" />`,
+    '<g fill="none" stroke="#9CA3AF" stroke-width="2">',
+    ...edges,
+    '</g>',
+    `<g font-family="Noto Sans Arabic, Noto Sans, DejaVu Sans, sans-serif" font-size="${LAYOUT.fontSize}" text-anchor="middle">`,
+    ...boxes,
+    '</g>',
+    '</svg>',
+    ''
+  ].join('\n');
+};
+
+module.exports = {
+  MINDMAP_LIMITS,
+  NODE_KEY,
+  NODE_COLOR,
+  findTreeErrors,
+  collectSubtree,
+  buildTree,
+  toOutline,
+  toOPML,
+  toSVG
+};
@@ -0,0 +1,41 @@
+// URL slugs for post titles. Arabic words stay in Arabic (browsers show them
+// as written), anything else goes through slugify's transliteration.
+
+const slugify = require('slugify');
+const { stripMarks } = require('./arabic');
+
+const MAX_LENGTH = 80;
+
+// Arabic letters, including the extended ones used for Persian and Urdu
+const ARABIC_RUN = /([\u0621-\u063F\u0641-\u064A\u066E-\u06D3\u06D5]+)/;
+
+// Used when a title has nothing to build a slug from, e.g. only symbols
+const FALLBACK = 'post';
+
+// Lowercase words joined by dashes, cut at a word boundary
+const toSlug = (text) => {
+  const words = stripMarks(text)
+    .split(ARABIC_RUN)
+    .map((part, index) => (index % 2 ? part : slugify(part, { lower: true, strict: true })))
+    .join('-')
+    .split('-')
+    .filter(Boolean);
+
+  let slug = '';
+  for (const word of words) {
+    const next = slug ? `${slug}-${word}` : word;
+    if (next.length > MAX_LENGTH) break;
+    slug = next;
+  }
+
+  return slug || (words.length ? words[0].slice(0, MAX_LENGTH) : FALLBACK);
+};
+
+// The slug itself, or with "-<number>" appended. Slugs hold only letters,
+// digits and dashes, so there is nothing to escape.
+const variantsPattern = (slug) => new RegExp(`^${slug}(-\\d+)?$`);
+
+module.exports = {
+  toSlug,
+  variantsPattern
+};